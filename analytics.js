@@ -0,0 +1,149 @@
+// Engagement analytics
+// A small event API for which projects visitors hover, open, inspect and how
+// they move the camera. Events go to pluggable sinks: the console, a buffer
+// in localStorage, or navigator.sendBeacon to an endpoint. Off unless the
+// manifest's "analytics" turns it on, and always off under Do Not Track.
+//
+//   "analytics": { "sinks": ["local", "beacon"], "endpoint": "https://example.com/collect" }
+//
+// ?analytics=console logs events for this visit without editing the manifest.
+// Pure logic: main.js emits the events and passes in the browser APIs.
+
+export const ANALYTICS_EVENTS = [
+    'hover-start', // { project }
+    'hover-duration', // { project, duration } in ms
+    'open', // { project, view: 'detail' | 'page' }
+    'inspect-duration', // { project, duration } in ms
+    'drag', // { degrees, duration } how far the carousel was turned
+    'zoom' // { from, to } camera distances
+];
+export const ANALYTICS_SINKS = ['console', 'local', 'beacon'];
+export const ANALYTICS_STORAGE_KEY = 'carousel-analytics';
+
+// Throws with a message naming the bad field
+export const validateAnalyticsConfig = (config) => {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+        throw new Error('projects.json: "analytics" must be an object');
+    }
+    if (config.sinks !== undefined) {
+        if (!Array.isArray(config.sinks) || config.sinks.some((sink) => !ANALYTICS_SINKS.includes(sink))) {
+            throw new Error(`projects.json: "analytics.sinks" must list some of ${ANALYTICS_SINKS.join(', ')}`);
+        }
+    }
+    if (config.sinks?.includes('beacon') && (typeof config.endpoint !== 'string' || config.endpoint === '')) {
+        throw new Error('projects.json: "analytics.endpoint" is required for the beacon sink');
+    }
+};
+
+// Do Not Track (or Global Privacy Control) is set in this browser
+export const isDoNotTrack = (navigator = {}, window = {}) => [
+    navigator.doNotTrack,
+    navigator.msDoNotTrack,
+    window.doNotTrack
+].some((value) => value === '1' || value === 'yes') || navigator.globalPrivacyControl === true;
+
+// Sinks take each event as a plain object; flush() is optional and is called
+// when the page is hidden
+
+export const createConsoleSink = (output = console) => ({
+    send(event) {
+        output.info('[analytics]', event.type, event);
+    }
+});
+
+// Keeps the most recent `limit` events in storage for reading back later
+export const createStorageSink = ({ storage, key = ANALYTICS_STORAGE_KEY, limit = 500 }) => {
+    const read = () => {
+        try {
+            const events = JSON.parse(storage.getItem(key));
+            return Array.isArray(events) ? events : [];
+        } catch (error) {
+            return [];
+        }
+    };
+    return {
+        read,
+        send(event) {
+            try {
+                storage.setItem(key, JSON.stringify([...read(), event].slice(-limit)));
+            } catch (error) {
+                // Storage can be full or unavailable; the event is dropped
+            }
+        },
+        clear() {
+            try {
+                storage.removeItem(key);
+            } catch (error) {
+                // Nothing to clear
+            }
+        }
+    };
+};
+
+// Batches events and posts them as a JSON array with sendBeacon, which
+// survives the page being closed
+export const createBeaconSink = ({ endpoint, sendBeacon, batchSize = 20 }) => {
+    let queue = [];
+    const flush = () => {
+        if (queue.length === 0) return;
+        const batch = queue;
+        queue = [];
+        // A refused beacon (e.g. over the size limit) is dropped rather than retried
+        sendBeacon(endpoint, JSON.stringify(batch));
+    };
+    return {
+        send(event) {
+            queue.push(event);
+            if (queue.length >= batchSize) flush();
+        },
+        flush
+    };
+};
+
+// The sinks the manifest's config and ?analytics= ask for; none under Do
+// Not Track. Browser APIs are passed in; a sink whose API is missing is skipped.
+export function createConfiguredSinks(config = {}, {
+    requested = null,
+    doNotTrack = false,
+    output = console,
+    storage = null,
+    sendBeacon = null
+} = {}) {
+    if (doNotTrack) return [];
+    const names = new Set(config.sinks || []);
+    if (ANALYTICS_SINKS.includes(requested)) names.add(requested);
+
+    return ANALYTICS_SINKS.filter((name) => names.has(name)).flatMap((name) => {
+        if (name === 'console') return [createConsoleSink(output)];
+        if (name === 'local') return storage ? [createStorageSink({ storage })] : [];
+        return sendBeacon && config.endpoint ? [createBeaconSink({ endpoint: config.endpoint, sendBeacon })] : [];
+    });
+}
+
+export function createAnalytics({ now = () => Date.now() } = {}) {
+    let sinks = [];
+
+    return {
+        // True once at least one sink is listening
+        get enabled() {
+            return sinks.length > 0;
+        },
+
+        // Replace the sinks; an empty list turns analytics off
+        setSinks(list) {
+            sinks.forEach((sink) => sink.flush?.());
+            sinks = [...list];
+        },
+
+        track(type, data = {}) {
+            if (sinks.length === 0) return;
+            if (!ANALYTICS_EVENTS.includes(type)) throw new Error(`Unknown analytics event "${type}"`);
+            const event = { type, time: now(), ...data };
+            sinks.forEach((sink) => sink.send(event));
+        },
+
+        flush() {
+            sinks.forEach((sink) => sink.flush?.());
+        }
+    };
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+
+// Animation clips embedded in the GLB files
+// Each project can name clips from its model to play while it is hovered,
+// while it is selected, or as an idle loop. Nothing plays unless the
+// project's "animations" in projects.json asks for it.
+//
+//   "animations": {
+//     "idle": "Float",
+//     "hover": "KnobTurn",
+//     "select": { "clip": "LidOpen", "timeScale": 1.5 }
+//   }
+//
+// true, or an object without "clip", plays the model's first clip, for GLBs
+// with a single unnamed animation.
+//
+// Hover and select clips play once and hold their last frame, then play back
+// to the start when the hover or selection ends. With "loop": true they repeat
+// instead and fade out at the end. Idle clips always loop.
+
+export const ANIMATION_TRIGGERS = ['idle', 'hover', 'select'];
+
+const FADE_DURATION = 0.3; // seconds
+
+const toEntry = (value) => {
+    if (typeof value === 'string') return { clip: value };
+    return value === true ? {} : value;
+};
+
+// Throws with a message naming the offending trigger and field
+export const validateAnimationConfig = (config, label) => {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+        throw new Error(`${label}: "animations" must be an object keyed by ${ANIMATION_TRIGGERS.join(', ')}`);
+    }
+    Object.entries(config).forEach(([trigger, value]) => {
+        const entryLabel = `${label}: animations.${trigger}`;
+        if (!ANIMATION_TRIGGERS.includes(trigger)) {
+            throw new Error(`${entryLabel}: unknown trigger (allowed: ${ANIMATION_TRIGGERS.join(', ')})`);
+        }
+        const entry = toEntry(value);
+        if (typeof entry !== 'object' || entry === null) {
+            throw new Error(`${entryLabel} must be a clip name, true or an object`);
+        }
+        if (entry.clip !== undefined && (typeof entry.clip !== 'string' || entry.clip === '')) {
+            throw new Error(`${entryLabel}: "clip" must be a non-empty string`);
+        }
+        if (entry.loop !== undefined && typeof entry.loop !== 'boolean') {
+            throw new Error(`${entryLabel}: "loop" must be true or false`);
+        }
+        if (entry.timeScale !== undefined && !(Number.isFinite(entry.timeScale) && entry.timeScale > 0)) {
+            throw new Error(`${entryLabel}: "timeScale" must be a positive number`);
+        }
+    });
+};
+
+// One AnimationMixer per carousel item
+// root must be the item's own copy of the model (SkeletonUtils.clone for
+// skinned meshes) so the clips bind to its nodes and not the template's
+export function createModelAnimator(root, clips, config) {
+    const mixer = new THREE.AnimationMixer(root);
+    const actions = new Map();
+
+    Object.entries(config).forEach(([trigger, value]) => {
+        const { clip: name, loop = trigger === 'idle', timeScale = 1 } = toEntry(value);
+        const clip = name === undefined ? clips[0] : THREE.AnimationClip.findByName(clips, name);
+        if (!clip) {
+            console.warn(name === undefined
+                ? `Model "${root.name}" has no animation clips to play on ${trigger}`
+                : `Model "${root.name}" has no animation clip "${name}" to play on ${trigger}`);
+            return;
+        }
+        const action = mixer.clipAction(clip);
+        action.setLoop(loop ? THREE.LoopRepeat : THREE.LoopOnce, Infinity);
+        action.clampWhenFinished = !loop;
+        actions.set(trigger, { action, loop, timeScale });
+    });
+
+    return {
+        get isEmpty() {
+            return actions.size === 0;
+        },
+
+        // Start a trigger's clip; a clip that is playing back carries on forwards from where it is
+        play(trigger) {
+            const entry = actions.get(trigger);
+            if (!entry) return;
+            const { action, loop, timeScale } = entry;
+            if (loop) {
+                action.reset().setEffectiveTimeScale(timeScale).fadeIn(FADE_DURATION).play();
+                return;
+            }
+            action.enabled = true;
+            action.paused = false;
+            action.setEffectiveTimeScale(timeScale).play();
+        },
+
+        // Undo a trigger's clip: looping clips fade out, the others play back to the start
+        stop(trigger) {
+            const entry = actions.get(trigger);
+            if (!entry || !entry.action.isScheduled()) return;
+            const { action, loop, timeScale } = entry;
+            if (loop) {
+                action.fadeOut(FADE_DURATION);
+                return;
+            }
+            action.enabled = true;
+            action.paused = false;
+            action.setEffectiveTimeScale(-timeScale);
+        },
+
+        // Advance the mixer; returns true while any clip is still moving
+        update(deltaTime) {
+            mixer.update(deltaTime);
+            for (const { action } of actions.values()) {
+                if (action.isRunning()) return true;
+            }
+            return false;
+        }
+    };
+}
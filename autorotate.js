@@ -0,0 +1,75 @@
+// Carousel auto-rotation
+// Decides how fast the carousel turns. Anything that needs it to stand still
+// (a drag, a hovered model, inspect mode, the detail panel) holds it by name;
+// once the last hold is released it waits `resumeDelay` and then eases back up
+// to speed. Selecting a model only restarts that wait. The visitor's pause/play choice overrides all of it.
+// Pure logic: main.js feeds in the time and copies the speed to OrbitControls.
+
+export const AUTO_ROTATE_SPEED = 0.8; // OrbitControls autoRotateSpeed
+export const AUTO_ROTATE_RESUME_DELAY = 3000; // ms after the last interaction
+export const AUTO_ROTATE_EASE_DURATION = 1200; // ms to get back up to speed
+
+const smoothstep = (value) => value * value * (3 - 2 * value);
+
+export function createAutoRotate({
+    speed = AUTO_ROTATE_SPEED,
+    resumeDelay = AUTO_ROTATE_RESUME_DELAY,
+    easeDuration = AUTO_ROTATE_EASE_DURATION,
+    playing = true,
+    now = () => performance.now()
+} = {}) {
+    const holds = new Set();
+    let isPlaying = playing;
+    let direction = 1;
+    // Time the rotation may start easing back in; -Infinity means it's at full speed
+    let resumeAt = -Infinity;
+
+    return {
+        get playing() {
+            return isPlaying;
+        },
+
+        get direction() {
+            return direction;
+        },
+
+        get held() {
+            return holds.size > 0;
+        },
+
+        // Pause/play from the visitor; playing again eases in without the idle delay
+        setPlaying(value) {
+            if (value === isPlaying) return;
+            isPlaying = value;
+            if (isPlaying) resumeAt = now();
+        },
+
+        hold(reason) {
+            holds.add(reason);
+        },
+
+        release(reason) {
+            if (!holds.delete(reason) || holds.size > 0) return;
+            resumeAt = now() + resumeDelay;
+        },
+
+        // Stop for a moment without holding, e.g. for a click: resumes after the
+        // idle delay as if something had just been released
+        wait() {
+            resumeAt = now() + resumeDelay;
+        },
+
+        // 1 or -1, e.g. following the last drag
+        setDirection(value) {
+            if (value === 1 || value === -1) direction = value;
+        },
+
+        // Signed speed at the given time; 0 while paused, held or waiting to resume
+        getSpeed(time = now()) {
+            if (!isPlaying || holds.size > 0) return 0;
+            const progress = easeDuration > 0 ? (time - resumeAt) / easeDuration : Infinity;
+            if (progress <= 0) return 0;
+            return speed * direction * (progress >= 1 ? 1 : smoothstep(progress));
+        }
+    };
+}
@@ -0,0 +1,127 @@
+import * as THREE from 'three';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import { applyMaterialRules } from './materials.js';
+import { createModelAnimator } from './animations.js';
+import { getNormalizedScale, computeLayout, findOverlaps } from './layout.js';
+
+// Carousel items
+// Turns the manifest and its loaded GLTF scenes into positioned groups, one
+// per project. Only three.js: main.js adds the groups to the scene and wires
+// up hover, selection and the camera.
+
+// Build a carousel item's model from its template and attach it to the group
+// The model is scaled to the layout size and centred in the group; returns the
+// footprint the layout needs. Idle clips start unless `playIdle` is false
+// (e.g. for reduced motion).
+export function populateCarouselItem(group, config, template, { size, playIdle = true }) {
+    const box = new THREE.Box3();
+    const boxSize = new THREE.Vector3();
+    const boxCenter = new THREE.Vector3();
+
+    // Skeleton-aware clone so skinned meshes bind to this copy's bones
+    const model = SkeletonUtils.clone(template);
+    model.name = `model-${config.id}`;
+    model.rotation.set(config.rotation?.x || 0, config.rotation?.y || 0, config.rotation?.z || 0);
+
+    // Measure the oriented model, scale it to the common size and centre it in its group
+    model.updateMatrixWorld(true);
+    box.setFromObject(model);
+    box.getSize(boxSize);
+    box.getCenter(boxCenter);
+    const scale = getNormalizedScale(boxSize, size) * (config.scale || 1);
+    model.scale.setScalar(scale);
+    model.position.copy(boxCenter).multiplyScalar(-scale);
+
+    // Keep the authored GLB materials unless the project overrides them
+    applyMaterialRules(model, config.materials);
+
+    // Hotspot anchors are in the model's local space so they follow it around;
+    // their labels only show in inspect mode
+    group.userData.hotspots = (config.hotspots || []).map((hotspot) => {
+        const anchor = new THREE.Object3D();
+        anchor.position.set(hotspot.position.x || 0, hotspot.position.y || 0, hotspot.position.z || 0);
+        model.add(anchor);
+        return { anchor, label: hotspot.label };
+    });
+
+    // Enable shadows
+    model.traverse((child) => {
+        if (child.isMesh) {
+            child.castShadow = true;
+            child.receiveShadow = true;
+        }
+    });
+
+    group.add(model);
+    group.userData.model = model;
+
+    // Clips from the GLB, played on hover, select or idle as the manifest says
+    group.userData.animator = null;
+    if (config.animations && model.animations.length > 0) {
+        const animator = createModelAnimator(model, model.animations, config.animations);
+        if (!animator.isEmpty) {
+            group.userData.animator = animator;
+            if (playIdle) animator.play('idle');
+        }
+    }
+
+    const footprint = { width: boxSize.x * scale, depth: boxSize.z * scale };
+    group.userData.footprint = footprint;
+    return { ...footprint, position: config.position };
+}
+
+// Create the carousel with the loaded models
+// Each project in the manifest controls one model instance. Models are scaled
+// to a common size and placed by the layout strategy (see layout.js); a
+// project's "rotation" (radians) orients the model itself and its "scale"
+// multiplies the normalised size. Projects whose template is missing (the
+// model failed to load) are left out. Returns the placed groups and, for
+// manual layouts, the pairs of group indices that overlap.
+export function buildCarousel(projects, templates, layout, { playIdle = true } = {}) {
+    const groups = [];
+    const items = [];
+
+    // Create one instance per project
+    projects.forEach((config, index) => {
+        // Skip slots whose model failed to load
+        if (!templates[index]) return;
+
+        // Create a group to hold the model
+        const group = new THREE.Group();
+        group.name = `carousel-item-${index}`;
+
+        // Store the project id and entry in userData for easier reference
+        group.userData.name = config.id;
+        group.userData.project = config;
+
+        items.push(populateCarouselItem(group, config, templates[index], { size: layout.size, playIdle }));
+        groups.push(group);
+    });
+
+    const transforms = computeLayout(items, layout);
+    groups.forEach((group, index) => {
+        const { position, rotation } = transforms[index];
+        group.position.set(position.x, position.y, position.z);
+        group.rotation.set(rotation.x, rotation.y, rotation.z);
+
+        // Store the original transform data for reference
+        group.userData.originalPosition = { ...position };
+        group.userData.originalRotation = { ...rotation };
+        group.userData.originalScale = 1;
+    });
+
+    return {
+        groups,
+        overlaps: layout.mode === 'manual' ? findOverlaps(items, transforms) : []
+    };
+}
+
+// The carousel group an object belongs to, e.g. a mesh hit by a raycast
+export function findCarouselGroup(object) {
+    let current = object;
+    // Traverse up the parent chain to find our model group
+    while (current && !current.userData.originalPosition) {
+        current = current.parent;
+    }
+    return current || null;
+}
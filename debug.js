@@ -0,0 +1,188 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+
+// Debug panel (?debug)
+// Shows frame rate, draw calls and triangles, and lets each carousel group be
+// moved, rotated and scaled live, with a gizmo or by typing values. "Export
+// config" turns the current placement into projects.json content.
+// Only loaded when ?debug is in the URL.
+
+const AXES = ['x', 'y', 'z'];
+const MODES = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' };
+
+const createElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+};
+
+// A row of number inputs, one per field
+const createInputRow = (label, fields, step, onInput) => {
+    const row = createElement('div', 'debug-row');
+    row.appendChild(createElement('span', 'debug-label', label));
+    const inputs = fields.map((field) => {
+        const input = createElement('input');
+        input.type = 'number';
+        input.step = String(step);
+        input.setAttribute('aria-label', `${label} ${field}`);
+        input.addEventListener('input', () => {
+            const value = Number.parseFloat(input.value);
+            if (Number.isFinite(value)) onInput(field, value);
+        });
+        row.appendChild(input);
+        return input;
+    });
+    return { row, inputs };
+};
+
+// onEdit(group): a group's transform was changed from the panel
+// onDragChange(dragging): the gizmo started or stopped dragging
+// exportConfig(): the manifest to export, as a plain object
+export function createDebugPanel({ renderer, camera, scene, onEdit, onDragChange, exportConfig }) {
+    let groups = [];
+    let activeGroup = null;
+    let lastUpdate = 0;
+
+    const gizmo = new TransformControls(camera, renderer.domElement);
+    gizmo.setSize(0.8);
+    scene.add(gizmo);
+
+    const panel = createElement('aside', 'debug-panel');
+    panel.setAttribute('aria-label', 'Debug');
+    const stats = createElement('pre', 'debug-stats');
+    panel.appendChild(stats);
+
+    const picker = createElement('select');
+    picker.setAttribute('aria-label', 'Carousel item');
+    panel.appendChild(picker);
+
+    const modes = createElement('div', 'debug-modes');
+    Object.entries(MODES).forEach(([mode, label]) => {
+        const button = createElement('button', null, label);
+        button.type = 'button';
+        button.dataset.mode = mode;
+        button.addEventListener('click', () => setMode(mode));
+        modes.appendChild(button);
+    });
+    panel.appendChild(modes);
+
+    const edit = (apply) => {
+        if (!activeGroup) return;
+        apply(activeGroup);
+        onEdit(activeGroup);
+    };
+    const position = createInputRow('Position', AXES, 0.1, (axis, value) => edit((group) => {
+        group.position[axis] = value;
+    }));
+    const rotation = createInputRow('Rotation °', AXES, 1, (axis, value) => edit((group) => {
+        group.rotation[axis] = THREE.MathUtils.degToRad(value);
+    }));
+    const scale = createInputRow('Scale', ['uniform'], 0.05, (field, value) => edit((group) => {
+        if (value > 0) group.scale.setScalar(value);
+    }));
+    panel.append(position.row, rotation.row, scale.row);
+
+    const exportButton = createElement('button', 'debug-export', 'Export config');
+    exportButton.type = 'button';
+    const output = createElement('textarea', 'debug-output');
+    output.readOnly = true;
+    output.hidden = true;
+    output.setAttribute('aria-label', 'Exported projects.json');
+    exportButton.addEventListener('click', () => {
+        output.value = `${JSON.stringify(exportConfig(), null, 2)}\n`;
+        output.hidden = false;
+        output.select();
+        navigator.clipboard?.writeText(output.value).catch(() => {
+            // Clipboard access can be refused; the text is selected for copying by hand
+        });
+    });
+    panel.append(exportButton, output);
+    document.body.appendChild(panel);
+
+    function setMode(mode) {
+        gizmo.setMode(mode);
+        modes.querySelectorAll('button').forEach((button) => {
+            button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+        });
+    }
+
+    function refreshInputs() {
+        const group = activeGroup;
+        [position, rotation, scale].forEach(({ inputs }) => inputs.forEach((input) => {
+            input.disabled = !group;
+        }));
+        if (!group) return;
+        AXES.forEach((axis, index) => {
+            position.inputs[index].value = group.position[axis].toFixed(2);
+            rotation.inputs[index].value = THREE.MathUtils.radToDeg(group.rotation[axis]).toFixed(1);
+        });
+        scale.inputs[0].value = group.scale.x.toFixed(2);
+    }
+
+    function selectGroup(group) {
+        activeGroup = group || null;
+        if (activeGroup) {
+            gizmo.attach(activeGroup);
+        } else {
+            gizmo.detach();
+        }
+        picker.value = activeGroup ? activeGroup.uuid : '';
+        refreshInputs();
+    }
+
+    picker.addEventListener('change', () => {
+        selectGroup(groups.find((group) => group.uuid === picker.value));
+    });
+
+    gizmo.addEventListener('objectChange', () => {
+        if (gizmo.mode === 'scale') {
+            // Scaling one axis would squash the model; apply whichever axis
+            // was dragged to all three
+            const { x, y, z } = activeGroup.scale;
+            const changed = [x, y, z].find((value) => value !== activeGroup.userData.originalScale) ?? x;
+            activeGroup.scale.setScalar(changed);
+        }
+        onEdit(activeGroup);
+        refreshInputs();
+    });
+    gizmo.addEventListener('dragging-changed', (event) => onDragChange(event.value));
+
+    setMode('translate');
+    refreshInputs();
+
+    return {
+        element: panel,
+
+        // Carousel groups that can be edited
+        setGroups(list) {
+            groups = list.slice();
+            picker.replaceChildren(createElement('option', null, 'Select an item…'));
+            picker.firstChild.value = '';
+            groups.forEach((group) => {
+                const option = createElement('option', null, group.userData.project?.title || group.name);
+                option.value = group.uuid;
+                picker.appendChild(option);
+            });
+            selectGroup(groups.includes(activeGroup) ? activeGroup : null);
+        },
+
+        // The pointer is over a gizmo handle or dragging one, so the canvas
+        // shouldn't treat it as a click on the carousel
+        get usingGizmo() {
+            return gizmo.dragging || gizmo.axis !== null;
+        },
+
+        // Refresh the readout; called every frame, redrawn twice a second
+        update(time, lines) {
+            if (time - lastUpdate < 500) return;
+            lastUpdate = time;
+            const { calls, triangles } = renderer.info.render;
+            stats.textContent = [
+                ...lines,
+                `draw calls: ${calls}`,
+                `triangles: ${triangles.toLocaleString()}`
+            ].join('\n');
+        }
+    };
+}
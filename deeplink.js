@@ -0,0 +1,46 @@
+// Carousel state in the URL hash
+// #project=shin&angle=90&distance=60
+//   project   id of the focused project in projects.json
+//   angle     camera azimuth around the carousel, in degrees
+//   distance  camera distance from the centre (zoom)
+//   view      'detail' when the project's detail panel is open
+// Everything is optional; unknown or malformed values are dropped.
+
+const PROJECT_ID = /^[\w-]+$/;
+const VIEWS = ['detail'];
+
+export const parseHashState = (hash) => {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const state = {};
+
+    const project = params.get('project');
+    if (project && PROJECT_ID.test(project)) state.project = project;
+
+    const angle = Number.parseFloat(params.get('angle'));
+    if (Number.isFinite(angle)) {
+        // Normalise to (-180, 180]
+        let normalised = angle % 360;
+        if (normalised > 180) normalised -= 360;
+        if (normalised <= -180) normalised += 360;
+        state.angle = normalised;
+    }
+
+    const distance = Number.parseFloat(params.get('distance'));
+    if (Number.isFinite(distance) && distance > 0) state.distance = distance;
+
+    // A view only makes sense for a project
+    const view = params.get('view');
+    if (state.project && VIEWS.includes(view)) state.view = view;
+
+    return state;
+};
+
+export const formatHashState = ({ project, angle, distance, view } = {}) => {
+    const params = new URLSearchParams();
+    if (project) params.set('project', project);
+    if (project && view) params.set('view', view);
+    if (Number.isFinite(angle)) params.set('angle', String(Math.round(angle)));
+    if (Number.isFinite(distance)) params.set('distance', String(Math.round(distance)));
+    const query = params.toString();
+    return query ? `#${query}` : '';
+};
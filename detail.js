@@ -0,0 +1,280 @@
+// In-page project detail panel
+// Renders a project's case study from structured content (content/<id>.json)
+// and slides it over the 3D scene. Routing and the camera are handled by
+// main.js; this module only knows about the DOM.
+//
+// Content format:
+//   {
+//     "title": "Shinkansen",
+//     "hero": { "heading": "How Might We", "text": "...", "image": "images/shin1.png", "alt": "..." },
+//     "sections": [
+//       { "type": "text-image", "heading": "About", "text": "...", "image": "...", "alt": "...", "reverse": true },
+//       { "type": "image", "image": "...", "alt": "..." },
+//       { "type": "text", "heading": "...", "text": ["paragraph", "paragraph"] },
+//       { "type": "video", "provider": "wistia", "id": "4le7j1cgb8", "aspect": 1.333 }
+//     ]
+//   }
+// "text" is a string or an array of paragraphs; "heading" is optional.
+
+const VIDEO_PROVIDERS = {
+    wistia: (id) => `https://fast.wistia.net/embed/iframe/${encodeURIComponent(id)}`,
+    youtube: (id) => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}`,
+    vimeo: (id) => `https://player.vimeo.com/video/${encodeURIComponent(id)}`
+};
+
+const SECTION_FIELDS = {
+    'text-image': ['text', 'image'],
+    image: ['image'],
+    text: ['text'],
+    video: ['provider', 'id']
+};
+
+const isText = (value) => typeof value === 'string' ||
+    (Array.isArray(value) && value.length > 0 && value.every((paragraph) => typeof paragraph === 'string'));
+
+// Throws with a message naming the offending section and field
+export const validateProjectContent = (content, label) => {
+    if (typeof content !== 'object' || content === null) {
+        throw new Error(`${label}: content must be an object`);
+    }
+    if (typeof content.title !== 'string' || content.title.trim() === '') {
+        throw new Error(`${label}: "title" must be a non-empty string`);
+    }
+    if (content.hero !== undefined) {
+        if (typeof content.hero !== 'object' || content.hero === null) {
+            throw new Error(`${label}: "hero" must be an object`);
+        }
+        if (content.hero.text !== undefined && !isText(content.hero.text)) {
+            throw new Error(`${label}: "hero.text" must be a string or an array of strings`);
+        }
+    }
+    if (!Array.isArray(content.sections)) {
+        throw new Error(`${label}: "sections" must be an array`);
+    }
+    content.sections.forEach((section, index) => {
+        const sectionLabel = `${label}: sections[${index}]`;
+        const required = SECTION_FIELDS[section?.type];
+        if (!required) {
+            throw new Error(`${sectionLabel}: "type" must be one of ${Object.keys(SECTION_FIELDS).join(', ')}`);
+        }
+        required.forEach((field) => {
+            const value = section[field];
+            const valid = field === 'text' ? isText(value) : typeof value === 'string' && value !== '';
+            if (!valid) {
+                throw new Error(`${sectionLabel}: missing "${field}"`);
+            }
+        });
+        if (section.type === 'video' && !VIDEO_PROVIDERS[section.provider]) {
+            throw new Error(`${sectionLabel}: "provider" must be one of ${Object.keys(VIDEO_PROVIDERS).join(', ')}`);
+        }
+    });
+};
+
+// Images a content file points at, relative to the site root
+export const getContentAssets = (content) => [content.hero, ...content.sections]
+    .filter((entry) => typeof entry?.image === 'string')
+    .map((entry) => entry.image);
+
+const createElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+};
+
+const appendText = (parent, text) => {
+    (Array.isArray(text) ? text : [text]).forEach((paragraph) => {
+        parent.appendChild(createElement('p', null, paragraph));
+    });
+};
+
+const createImage = (src, alt) => {
+    const image = createElement('img');
+    image.src = src;
+    image.alt = alt || '';
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    return image;
+};
+
+const renderTextBlock = (section, headingTag = 'h3') => {
+    const block = createElement('div', 'detail-text');
+    if (section.heading) block.appendChild(createElement(headingTag, null, section.heading));
+    if (section.text) appendText(block, section.text);
+    return block;
+};
+
+const renderSection = (section) => {
+    switch (section.type) {
+        case 'text-image': {
+            const element = createElement('div', `detail-section${section.reverse ? ' reverse' : ''}`);
+            element.appendChild(renderTextBlock(section));
+            const figure = createElement('div', 'detail-image');
+            figure.appendChild(createImage(section.image, section.alt));
+            element.appendChild(figure);
+            return element;
+        }
+        case 'image': {
+            const element = createElement('div', 'detail-full-image');
+            element.appendChild(createImage(section.image, section.alt));
+            return element;
+        }
+        case 'text': {
+            const element = createElement('div', 'detail-section text-only');
+            element.appendChild(renderTextBlock(section));
+            return element;
+        }
+        case 'video': {
+            const element = createElement('div', 'detail-video');
+            element.style.aspectRatio = String(section.aspect || 16 / 9);
+            const frame = createElement('iframe');
+            frame.src = VIDEO_PROVIDERS[section.provider](section.id);
+            frame.title = section.title || 'Project video';
+            frame.loading = 'lazy';
+            frame.allow = 'autoplay; fullscreen; picture-in-picture';
+            frame.allowFullscreen = true;
+            element.appendChild(frame);
+            return element;
+        }
+        default:
+            return createElement('div');
+    }
+};
+
+// What Tab can reach inside the panel, in document order
+const FOCUSABLE = 'a[href], button:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
+
+// Links to the other projects; the hrefs are deep links handled by main.js
+// A plain click goes to onSwitch instead, so switching projects doesn't add
+// history entries; modified clicks (new tab, new window) follow the href
+const renderOtherProjects = (others, linkFor, onSwitch) => {
+    const nav = createElement('nav', 'detail-nav');
+    nav.setAttribute('aria-label', 'Other projects');
+    nav.appendChild(createElement('p', 'detail-nav-title', 'View another project'));
+    const list = createElement('div', 'detail-nav-boxes');
+    others.forEach((project) => {
+        const link = createElement('a', 'detail-nav-box');
+        link.href = linkFor(project);
+        link.addEventListener('click', (event) => {
+            if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+            event.preventDefault();
+            onSwitch(project);
+        });
+        if (project.thumbnail) {
+            const thumbnail = createElement('div', 'detail-nav-thumbnail');
+            thumbnail.appendChild(createImage(project.thumbnail, project.title));
+            link.appendChild(thumbnail);
+        }
+        link.appendChild(createElement('h3', null, project.title));
+        list.appendChild(link);
+    });
+    nav.appendChild(list);
+    return nav;
+};
+
+export function createDetailPanel({ onClose, linkFor, onSwitch }) {
+    const panel = createElement('section', 'detail-panel');
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-labelledby', 'detail-title');
+    panel.hidden = true;
+
+    const closeButton = createElement('button', 'detail-close', 'Back');
+    closeButton.type = 'button';
+    closeButton.setAttribute('aria-label', 'Close project and return to the carousel');
+    closeButton.addEventListener('click', () => onClose());
+
+    const body = createElement('div', 'detail-body');
+    panel.append(closeButton, body);
+
+    // Tab and Shift+Tab wrap around inside the panel while it is open
+    panel.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            onClose();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+        const focusable = [...panel.querySelectorAll(FOCUSABLE)];
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    });
+
+    // Focus that gets out anyway (e.g. tabbing on from inside a video) is brought back
+    const keepFocus = (event) => {
+        if (!panel.contains(event.target)) closeButton.focus({ preventScroll: true });
+    };
+
+    let openProjectId = null;
+    let hideTimer = null;
+    let returnFocusTo = null; // focused before the panel opened, focused again on close
+
+    return {
+        element: panel,
+
+        get projectId() {
+            return openProjectId;
+        },
+
+        get isOpen() {
+            return openProjectId !== null;
+        },
+
+        // Render a project and slide the panel in (or swap content if already open)
+        open(project, content, others = []) {
+            clearTimeout(hideTimer);
+            if (openProjectId === null) {
+                returnFocusTo = document.activeElement;
+                document.addEventListener('focusin', keepFocus);
+            }
+            openProjectId = project.id;
+
+            body.replaceChildren();
+            const header = createElement('header', 'detail-header');
+            const title = createElement('h2', 'detail-title', content.title);
+            title.id = 'detail-title';
+            header.appendChild(title);
+            body.appendChild(header);
+
+            if (content.hero) {
+                const hero = createElement('div', 'detail-section detail-hero');
+                hero.appendChild(renderTextBlock(content.hero));
+                if (content.hero.image) {
+                    const figure = createElement('div', 'detail-image');
+                    figure.appendChild(createImage(content.hero.image, content.hero.alt));
+                    hero.appendChild(figure);
+                }
+                body.appendChild(hero);
+            }
+            content.sections.forEach((section) => body.appendChild(renderSection(section)));
+            if (others.length > 0) body.appendChild(renderOtherProjects(others, linkFor, onSwitch));
+
+            panel.scrollTop = 0;
+            panel.hidden = false;
+            // Let the hidden -> visible change land before starting the slide
+            requestAnimationFrame(() => panel.classList.add('open'));
+            closeButton.focus({ preventScroll: true });
+        },
+
+        close() {
+            if (openProjectId === null) return;
+            openProjectId = null;
+            document.removeEventListener('focusin', keepFocus);
+            if (returnFocusTo?.isConnected) returnFocusTo.focus({ preventScroll: true });
+            returnFocusTo = null;
+            panel.classList.remove('open');
+            // Matches the CSS slide duration
+            hideTimer = setTimeout(() => {
+                panel.hidden = true;
+                body.replaceChildren();
+            }, 400);
+        }
+    };
+}
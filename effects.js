@@ -0,0 +1,27 @@
+// Post-processing effects
+// Which screen effects run on top of the scene. Each quality tier lists its
+// own (see quality.js); ?effects=outline,bloom overrides the tier for
+// comparing them, and ?effects=none turns the pipeline off. Pure logic:
+// postprocessing.js builds the passes.
+
+// 'outline': edge around the hovered item
+// 'ao': ambient occlusion where models meet the ground and themselves
+// 'bloom': glow around highlights brighter than white
+// 'fxaa': cheap anti-aliasing, for tiers without a multisampled context
+export const EFFECTS = ['outline', 'ao', 'bloom', 'fxaa'];
+
+// The effects named in a ?effects= value, in pipeline order; null when the
+// parameter is missing or names nothing we know, so the tier decides
+export function parseEffects(value) {
+    if (typeof value !== 'string') return null;
+    const names = value.split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+    if (names.includes('none')) return [];
+    const effects = EFFECTS.filter((effect) => names.includes(effect));
+    return effects.length > 0 ? effects : null;
+}
+
+// Effects to run for a tier, honouring an override from parseEffects
+export function getEnabledEffects(tier, override = null) {
+    if (override) return [...override];
+    return EFFECTS.filter((effect) => tier.effects?.includes(effect));
+}
@@ -0,0 +1,68 @@
+import { loadProjects } from './projects.js';
+
+// Static project gallery
+// Shown instead of the carousel when WebGL isn't available or the 3D view
+// can't recover from a lost context: a plain grid of project cards built from
+// projects.json, linking to each project's page.
+
+const createElement = (tag, className, text) => {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+};
+
+const renderCard = (project) => {
+    const item = createElement('li');
+    const link = createElement('a', 'fallback-card');
+    link.href = project.page;
+
+    if (project.thumbnail) {
+        const image = createElement('img');
+        image.src = project.thumbnail;
+        // The title right below names the project
+        image.alt = '';
+        image.loading = 'lazy';
+        image.decoding = 'async';
+        link.appendChild(image);
+    }
+    link.appendChild(createElement('h2', null, project.title));
+    if (project.summary) link.appendChild(createElement('p', null, project.summary));
+    if (project.tags?.length) {
+        const tags = createElement('ul', 'fallback-card-tags');
+        tags.setAttribute('aria-label', 'Tags');
+        project.tags.forEach((tag) => tags.appendChild(createElement('li', null, tag)));
+        link.appendChild(tags);
+    }
+
+    item.appendChild(link);
+    return item;
+};
+
+// Replace the 3D view with the gallery
+// Pass the projects if they're already loaded; otherwise projects.json is fetched
+export async function showFallbackGallery({ projects } = {}) {
+    if (document.querySelector('.fallback-gallery')) return;
+    document.body.classList.add('no-webgl');
+
+    const gallery = createElement('main', 'fallback-gallery');
+    gallery.setAttribute('aria-labelledby', 'fallback-title');
+    const heading = createElement('h1', 'sr-only', 'Projects');
+    heading.id = 'fallback-title';
+    gallery.appendChild(heading);
+    document.body.appendChild(gallery);
+
+    try {
+        const list = projects || (await loadProjects()).projects;
+        const grid = createElement('ul', 'fallback-grid');
+        list.forEach((project) => grid.appendChild(renderCard(project)));
+        gallery.appendChild(grid);
+    } catch (error) {
+        console.error('Could not load projects:', error.message);
+        gallery.appendChild(createElement(
+            'p',
+            'fallback-error',
+            "Projects couldn't be loaded. Please refresh the page to try again."
+        ));
+    }
+}
@@ -0,0 +1,40 @@
+// Camera framing for the whole carousel
+// Works out the field of view, camera distance and zoom limits that keep a
+// sphere of the given radius on screen at any aspect ratio. Pure logic:
+// main.js measures the carousel and applies the result to the camera.
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+export function getCarouselFraming({
+    radius,
+    aspect,
+    baseFov = 30, // vertical FOV on landscape screens, degrees
+    maxFov = 50, // widest vertical FOV portrait screens may use
+    margin = 1.1, // breathing room around the sphere
+    insetTop = 0, // share of the viewport height covered by overlays at the top
+    insetBottom = 0 // ...and at the bottom
+}) {
+    // Portrait screens widen the vertical FOV so the horizontal one doesn't
+    // drop below what a square screen would see
+    const baseHalf = toRadians(baseFov) / 2;
+    const halfVertical = Math.min(
+        aspect < 1 ? Math.atan(Math.tan(baseHalf) / aspect) : baseHalf,
+        toRadians(maxFov) / 2
+    );
+    const halfHorizontal = Math.atan(Math.tan(halfVertical) * aspect);
+
+    // Only the band between the overlays is available vertically
+    const band = Math.max(0.2, 1 - insetTop - insetBottom);
+    const halfBand = Math.atan(Math.tan(halfVertical) * band);
+
+    const distance = (radius * margin) / Math.sin(Math.min(halfBand, halfHorizontal));
+    return {
+        fov: toDegrees(halfVertical * 2),
+        distance,
+        minDistance: Math.max(distance * 0.5, radius),
+        maxDistance: distance * 2.5,
+        // Share of the viewport height to move the view down by to centre it in the band
+        viewOffset: (insetTop - insetBottom) / 2
+    };
+}
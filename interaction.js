@@ -0,0 +1,185 @@
+// Interaction controller for the carousel
+// Owns the hover, select, open and inspect states for carousel items and tells
+// subscribers when they change. It knows nothing about three.js or the DOM:
+// callers pass in whatever they use as items (carousel groups in main.js).
+//
+// Events (listener receives { type, item, previous }):
+//   'hoverstart' / 'hoverend'  pointer moved onto / off an item
+//   'select' / 'deselect'      item selected by click, tap or keyboard focus / cleared
+//   'highlight'                the item that should look highlighted changed
+//                              (hovered item, falling back to the selected one)
+//   'open'                     an item was opened; state stays 'open' until reset()
+//   'inspect' / 'inspectend'   inspect mode started for an item / ended
+
+export const DOUBLE_CLICK_DELAY = 300; // ms between clicks to count as a double-click
+
+export function createInteractionController({
+    doubleClickDelay = DOUBLE_CLICK_DELAY,
+    now = () => Date.now()
+} = {}) {
+    const listeners = new Map();
+    let hovered = null;
+    let selected = null;
+    let opened = null;
+    let inspected = null;
+    let lastClick = null;
+
+    // Open and inspect take over the pointer until they end
+    const isLocked = () => opened !== null || inspected !== null;
+
+    const dispatch = (type, item, previous = null) => {
+        const event = { type, item, previous };
+        (listeners.get(type) || []).slice().forEach((listener) => listener(event));
+    };
+
+    const getHighlighted = () => hovered || selected;
+
+    // Run a state change and report the highlight if it moved
+    const withHighlight = (change) => {
+        const before = getHighlighted();
+        change();
+        const after = getHighlighted();
+        if (after !== before) dispatch('highlight', after, before);
+    };
+
+    const controller = {
+        get hovered() {
+            return hovered;
+        },
+
+        get selected() {
+            return selected;
+        },
+
+        get highlighted() {
+            return getHighlighted();
+        },
+
+        get inspected() {
+            return inspected;
+        },
+
+        // 'idle' | 'hover' | 'selected' | 'open' | 'inspect'
+        get state() {
+            if (opened) return 'open';
+            if (inspected) return 'inspect';
+            if (selected) return 'selected';
+            if (hovered) return 'hover';
+            return 'idle';
+        },
+
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, []);
+            const list = listeners.get(type);
+            if (!list.includes(listener)) list.push(listener);
+        },
+
+        removeEventListener(type, listener) {
+            const list = listeners.get(type);
+            if (!list) return;
+            const index = list.indexOf(listener);
+            if (index !== -1) list.splice(index, 1);
+        },
+
+        hover(item) {
+            item = item || null;
+            if (isLocked() || item === hovered) return;
+            withHighlight(() => {
+                const previous = hovered;
+                hovered = item;
+                if (previous) dispatch('hoverend', previous);
+                if (item) dispatch('hoverstart', item, previous);
+            });
+        },
+
+        select(item) {
+            item = item || null;
+            if (isLocked() || item === selected) return;
+            withHighlight(() => {
+                const previous = selected;
+                selected = item;
+                if (item) {
+                    dispatch('select', item, previous);
+                } else {
+                    dispatch('deselect', null, previous);
+                }
+            });
+        },
+
+        // Open the given item, or whatever is highlighted
+        open(item = getHighlighted()) {
+            if (isLocked() || !item) return false;
+            opened = item;
+            lastClick = null;
+            dispatch('open', item);
+            return true;
+        },
+
+        // Mouse flow: a click selects, a second click on the same item within the delay opens it
+        click(item) {
+            item = item || null;
+            if (isLocked()) return;
+            const time = now();
+            if (item && lastClick && lastClick.item === item &&
+                time - lastClick.time <= doubleClickDelay) {
+                controller.open(item);
+                return;
+            }
+            lastClick = item ? { item, time } : null;
+            controller.select(item);
+        },
+
+        // Touch flow: first tap selects, a second tap on the same item opens it
+        tap(item) {
+            item = item || null;
+            if (isLocked()) return;
+            if (item && item === selected) {
+                controller.open(item);
+                return;
+            }
+            controller.select(item);
+        },
+
+        // Inspect mode isolates one item; hover and selection are cleared
+        // (their listeners already see state 'inspect')
+        inspect(item) {
+            if (isLocked() || !item) return false;
+            inspected = item;
+            lastClick = null;
+            withHighlight(() => {
+                const previousHovered = hovered;
+                const previousSelected = selected;
+                hovered = null;
+                selected = null;
+                if (previousHovered) dispatch('hoverend', previousHovered);
+                if (previousSelected) dispatch('deselect', null, previousSelected);
+            });
+            dispatch('inspect', item);
+            return true;
+        },
+
+        endInspect() {
+            if (!inspected) return;
+            const previous = inspected;
+            inspected = null;
+            dispatch('inspectend', null, previous);
+        },
+
+        // Back to idle, e.g. when the page comes back from the back/forward cache
+        reset() {
+            controller.endInspect();
+            withHighlight(() => {
+                const previousHovered = hovered;
+                const previousSelected = selected;
+                hovered = null;
+                selected = null;
+                opened = null;
+                lastClick = null;
+                if (previousHovered) dispatch('hoverend', previousHovered);
+                if (previousSelected) dispatch('deselect', null, previousSelected);
+            });
+        }
+    };
+
+    return controller;
+}
@@ -0,0 +1,172 @@
+// Carousel layout strategies
+// Places any number of projects without overlaps. Models are first scaled so
+// their largest side is `size` units, then a strategy spreads their footprints
+// out. Pure logic: main.js measures the models and applies the transforms.
+//
+// Chosen with "layout" in projects.json (or ?layout=<mode>):
+//   "layout": { "mode": "ring", "radius": 4, "size": 12, "gap": 1 }
+//
+//   ring    evenly around a circle of at least `radius`, facing outwards
+//   arc     along an `arc`-degree slice of that circle, centred on `facing`
+//   grid    rows of `columns` (default: as square as possible) on the ground
+//   manual  each project's own "position" in projects.json
+
+export const LAYOUT_MODES = ['ring', 'arc', 'grid', 'manual'];
+
+export const DEFAULT_LAYOUT = {
+    mode: 'ring',
+    radius: 4, // smallest ring/arc radius; grown as needed to fit the models
+    size: 12, // largest side of every model after normalising
+    gap: 1, // clear space between neighbouring footprints
+    arc: 180, // degrees covered by the arc layout
+    facing: 180, // degrees; direction the middle of the arc points (0 is +z)
+    columns: null // grid columns, null to pick from the project count
+};
+
+const POSITIVE_FIELDS = ['radius', 'size'];
+
+// Throws with a message naming the offending field
+export const validateLayout = (layout, label = 'projects.json') => {
+    if (typeof layout !== 'object' || layout === null || Array.isArray(layout)) {
+        throw new Error(`${label}: "layout" must be an object`);
+    }
+    if (layout.mode !== undefined && !LAYOUT_MODES.includes(layout.mode)) {
+        throw new Error(`${label}: "layout.mode" must be one of ${LAYOUT_MODES.join(', ')}`);
+    }
+    POSITIVE_FIELDS.forEach((field) => {
+        if (layout[field] !== undefined && !(Number.isFinite(layout[field]) && layout[field] > 0)) {
+            throw new Error(`${label}: "layout.${field}" must be a positive number`);
+        }
+    });
+    if (layout.gap !== undefined && !(Number.isFinite(layout.gap) && layout.gap >= 0)) {
+        throw new Error(`${label}: "layout.gap" must be zero or more`);
+    }
+    if (layout.arc !== undefined && !(Number.isFinite(layout.arc) && layout.arc > 0 && layout.arc <= 360)) {
+        throw new Error(`${label}: "layout.arc" must be a number of degrees from 0 to 360`);
+    }
+    if (layout.facing !== undefined && !Number.isFinite(layout.facing)) {
+        throw new Error(`${label}: "layout.facing" must be a number of degrees`);
+    }
+    if (layout.columns !== undefined && layout.columns !== null &&
+        !(Number.isInteger(layout.columns) && layout.columns > 0)) {
+        throw new Error(`${label}: "layout.columns" must be a positive whole number`);
+    }
+};
+
+// Scale that brings a bounding box's largest side to `size`
+export const getNormalizedScale = (boxSize, size) => {
+    const largest = Math.max(boxSize.x, boxSize.y, boxSize.z);
+    return largest > 0 ? size / largest : 1;
+};
+
+// Radius of the circle around a footprint of the given width and depth
+const footprintRadius = ({ width, depth }) => Math.hypot(width, depth) / 2;
+
+// Angles for items spaced around a circle so neighbours are `gap` apart.
+// Grows the radius from minRadius until they all fit in `span` radians; any
+// spare angle is shared out evenly. `closed` also keeps the last clear of the first.
+const fitOnCircle = (radii, gap, minRadius, span, closed) => {
+    const count = radii.length;
+    const pairs = closed ? count : count - 1;
+    const needed = (index) => radii[index] + radii[(index + 1) % count] + gap;
+    const angleFor = (radius, index) => 2 * Math.asin(Math.min(1, needed(index) / (2 * radius)));
+    const totalAngle = (radius) => {
+        let total = 0;
+        for (let i = 0; i < pairs; i++) total += angleFor(radius, i);
+        return total;
+    };
+
+    // Smallest radius where every chord fits, then grow until the angles do too
+    let radius = minRadius;
+    for (let i = 0; i < pairs; i++) radius = Math.max(radius, needed(i) / 2);
+    while (totalAngle(radius) > span) radius *= 1.05;
+
+    const spare = pairs > 0 ? (span - totalAngle(radius)) / pairs : 0;
+    const angles = [0];
+    for (let i = 0; i < count - 1; i++) {
+        angles.push(angles[i] + angleFor(radius, i) + spare);
+    }
+    return { radius, angles };
+};
+
+const onCircle = (radius, angle) => ({
+    position: { x: Math.sin(angle) * radius, y: 0, z: Math.cos(angle) * radius },
+    rotation: { x: 0, y: angle, z: 0 }
+});
+
+const STRATEGIES = {
+    ring(items, layout) {
+        if (items.length === 1) return [{ position: { x: 0, y: 0, z: 0 }, rotation: { x: 0, y: 0, z: 0 } }];
+        const { radius, angles } = fitOnCircle(
+            items.map(footprintRadius), layout.gap, layout.radius, Math.PI * 2, true
+        );
+        return angles.map((angle) => onCircle(radius, angle));
+    },
+
+    arc(items, layout) {
+        const span = (layout.arc * Math.PI) / 180;
+        const facing = (layout.facing * Math.PI) / 180;
+        // A full circle has to keep the ends apart as well
+        const { radius, angles } = fitOnCircle(
+            items.map(footprintRadius), layout.gap, layout.radius, span, layout.arc >= 360
+        );
+        const start = facing - angles[angles.length - 1] / 2;
+        return angles.map((angle) => onCircle(radius, start + angle));
+    },
+
+    grid(items, layout) {
+        const columns = layout.columns || Math.ceil(Math.sqrt(items.length));
+        const rows = Math.ceil(items.length / columns);
+        // Cells fit the widest footprint at any heading, the same test findOverlaps uses
+        const cell = Math.max(...items.map(footprintRadius)) * 2 + layout.gap;
+        return items.map((item, index) => {
+            const column = index % columns;
+            const row = Math.floor(index / columns);
+            // The last row is centred when it isn't full
+            const inRow = Math.min(columns, items.length - row * columns);
+            return {
+                position: {
+                    x: (column - (inRow - 1) / 2) * cell,
+                    y: 0,
+                    z: (row - (rows - 1) / 2) * cell
+                },
+                rotation: { x: 0, y: 0, z: 0 }
+            };
+        });
+    },
+
+    manual(items) {
+        return items.map((item) => ({
+            position: {
+                x: item.position?.x || 0,
+                y: item.position?.y || 0,
+                z: item.position?.z || 0
+            },
+            rotation: { x: 0, y: 0, z: 0 }
+        }));
+    }
+};
+
+// One { position, rotation } per item
+// items: [{ width, depth, position? }] with normalised footprint sizes
+export const computeLayout = (items, options = {}) => {
+    const layout = { ...DEFAULT_LAYOUT, ...options };
+    if (items.length === 0) return [];
+    return STRATEGIES[layout.mode](items, layout);
+};
+
+// Pairs of indices whose footprints overlap, e.g. to warn about hand-placed layouts
+export const findOverlaps = (items, transforms) => {
+    const overlaps = [];
+    for (let i = 0; i < items.length; i++) {
+        for (let j = i + 1; j < items.length; j++) {
+            const a = transforms[i].position;
+            const b = transforms[j].position;
+            const distance = Math.hypot(a.x - b.x, a.z - b.z);
+            if (distance < footprintRadius(items[i]) + footprintRadius(items[j])) {
+                overlaps.push([i, j]);
+            }
+        }
+    }
+    return overlaps;
+};
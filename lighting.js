@@ -0,0 +1,185 @@
+import * as THREE from 'three';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+
+// Lighting presets
+// Each preset sets the background, tone-mapping exposure, environment
+// strength, the hover outline colour (dark on light backgrounds, light on
+// dark ones) and the five-light rig in main.js. Environments are built locally:
+// either from an .hdr file bundled with the site (`hdr`) or generated in code
+// (`environment`: 'studio' | 'daylight' | 'gallery'), so nothing is fetched
+// from a CDN.
+export const LIGHTING_PRESETS = {
+    studio: {
+        label: 'Studio',
+        theme: 'light',
+        background: 0xffffff,
+        exposure: 1.0,
+        environment: 'studio',
+        environmentIntensity: 0.5,
+        groundOpacity: 0.2,
+        outline: 0x111111,
+        lights: {
+            key: { color: 0xfff0d0, intensity: 1.8 },
+            fill: { color: 0xd0e8ff, intensity: 0.6 },
+            rim: { color: 0xffffff, intensity: 1.2 },
+            ambient: { color: 0x404056, intensity: 0.5 },
+            hemi: { color: 0xffffff, groundColor: 0x444444, intensity: 0.8 }
+        }
+    },
+    daylight: {
+        label: 'Daylight',
+        theme: 'light',
+        background: 0xf3f6fa,
+        exposure: 1.1,
+        environment: 'daylight',
+        environmentIntensity: 0.8,
+        groundOpacity: 0.25,
+        outline: 0x1b2b44,
+        lights: {
+            key: { color: 0xfff6e5, intensity: 2.4 },
+            fill: { color: 0xcfe3ff, intensity: 0.5 },
+            rim: { color: 0xffffff, intensity: 0.8 },
+            ambient: { color: 0x8090a8, intensity: 0.3 },
+            hemi: { color: 0xbfd9ff, groundColor: 0x8a7f6a, intensity: 1.0 }
+        }
+    },
+    gallery: {
+        label: 'Dark gallery',
+        theme: 'dark',
+        background: 0x111111,
+        exposure: 0.9,
+        environment: 'gallery',
+        environmentIntensity: 0.3,
+        groundOpacity: 0.5,
+        outline: 0xf5f5f5,
+        lights: {
+            key: { color: 0xffe2b8, intensity: 2.2 },
+            fill: { color: 0x6078a0, intensity: 0.2 },
+            rim: { color: 0xffffff, intensity: 1.6 },
+            ambient: { color: 0x101018, intensity: 0.2 },
+            hemi: { color: 0x333344, groundColor: 0x000000, intensity: 0.2 }
+        }
+    }
+};
+
+export const DEFAULT_LIGHTING_PRESET = 'studio';
+
+// Bright emitter for the generated environments; values above 1 survive
+// because PMREM renders into a half-float target
+const createEmitter = (geometry, intensity, color = 0xffffff) => new THREE.Mesh(
+    geometry,
+    new THREE.MeshBasicMaterial({ color: new THREE.Color(color).multiplyScalar(intensity) })
+);
+
+// Sky dome graded from ground to horizon to zenith, with a sun
+const createDaylightScene = () => {
+    const scene = new THREE.Scene();
+    const geometry = new THREE.SphereGeometry(50, 32, 16);
+    const ground = new THREE.Color(0x8a7f6a);
+    const horizon = new THREE.Color(0xf2f4f7);
+    const zenith = new THREE.Color(0x7fa8d9);
+    const colors = [];
+    const position = geometry.attributes.position;
+    const color = new THREE.Color();
+    for (let i = 0; i < position.count; i++) {
+        const height = position.getY(i) / 50;
+        if (height < 0) {
+            color.copy(horizon).lerp(ground, Math.min(-height * 4, 1));
+        } else {
+            color.copy(horizon).lerp(zenith, Math.pow(height, 0.6));
+        }
+        colors.push(color.r, color.g, color.b);
+    }
+    geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    scene.add(new THREE.Mesh(
+        geometry,
+        new THREE.MeshBasicMaterial({ vertexColors: true, side: THREE.BackSide })
+    ));
+
+    const sun = createEmitter(new THREE.SphereGeometry(2.5, 16, 8), 40, 0xfff3dc);
+    sun.position.set(20, 35, 15);
+    scene.add(sun);
+    return scene;
+};
+
+// Dark room lit by a few overhead gallery panels
+const createGalleryScene = () => {
+    const scene = new THREE.Scene();
+    scene.add(new THREE.Mesh(
+        new THREE.BoxGeometry(40, 20, 40),
+        new THREE.MeshBasicMaterial({ color: 0x0c0c0c, side: THREE.BackSide })
+    ));
+
+    [-10, 0, 10].forEach((x) => {
+        const panel = createEmitter(new THREE.PlaneGeometry(4, 12), 6, 0xffe6c4);
+        panel.position.set(x, 9.9, 0);
+        panel.rotation.x = Math.PI / 2;
+        scene.add(panel);
+    });
+
+    const wash = createEmitter(new THREE.PlaneGeometry(30, 4), 0.6, 0x8aa0c8);
+    wash.position.set(0, 2, -19.9);
+    scene.add(wash);
+    return scene;
+};
+
+const SCENE_BUILDERS = {
+    studio: () => new RoomEnvironment(),
+    daylight: createDaylightScene,
+    gallery: createGalleryScene
+};
+
+const disposeScene = (scene) => {
+    scene.traverse((child) => {
+        if (child.isMesh) {
+            child.geometry.dispose();
+            child.material.dispose();
+        }
+    });
+};
+
+// Environment maps are cached per preset so switching back is instant
+const environmentCache = new Map();
+
+// Resolve a preset's PMREM environment texture
+export const loadEnvironment = (renderer, preset) => {
+    const key = preset.hdr || preset.environment;
+    if (environmentCache.has(key)) return environmentCache.get(key);
+
+    const pmrem = new THREE.PMREMGenerator(renderer);
+    let promise;
+    if (preset.hdr) {
+        promise = new RGBELoader().loadAsync(preset.hdr).then((texture) => {
+            const envMap = pmrem.fromEquirectangular(texture).texture;
+            texture.dispose();
+            pmrem.dispose();
+            return envMap;
+        });
+    } else {
+        const build = SCENE_BUILDERS[preset.environment];
+        if (!build) {
+            pmrem.dispose();
+            return Promise.reject(new Error(`Unknown lighting environment "${preset.environment}"`));
+        }
+        const scene = build();
+        const envMap = pmrem.fromScene(scene, 0.04).texture;
+        disposeScene(scene);
+        pmrem.dispose();
+        promise = Promise.resolve(envMap);
+    }
+
+    // Let a failed load be retried later
+    promise.catch(() => environmentCache.delete(key));
+    environmentCache.set(key, promise);
+    return promise;
+};
+
+// Forget every cached environment, e.g. after the WebGL context was lost
+// and the textures' contents with it
+export const clearEnvironmentCache = () => {
+    environmentCache.forEach((promise) => {
+        promise.then((envMap) => envMap.dispose()).catch(() => {});
+    });
+    environmentCache.clear();
+};
@@ -1,42 +1,83 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from './libs/meshopt_decoder.module.js';
 import gsap from 'https://cdn.jsdelivr.net/npm/gsap@3.12.2/+esm';
-const MODEL_SCALE = 3.0; // Increased model size for better visibility
-// Debug flag
-const DEBUG = true;
+import { createInteractionController } from './interaction.js';
+import { QUALITY_TIERS, createQualityGovernor } from './quality.js';
+import { LIGHTING_PRESETS, DEFAULT_LIGHTING_PRESET, loadEnvironment, clearEnvironmentCache } from './lighting.js';
+import { LAYOUT_MODES, DEFAULT_LAYOUT } from './layout.js';
+import { buildCarousel, populateCarouselItem, findCarouselGroup } from './carousel.js';
+import { createStage, updateLighting } from './stage.js';
+import { getProjectRoute, getProjectPage } from './routing.js';
+import { loadProjects } from './projects.js';
+import { showFallbackGallery } from './fallback.js';
+import { getCarouselFraming } from './framing.js';
+import {
+    SHADOW_MODES,
+    DEFAULT_SHADOW_MODE,
+    fitShadowCamera,
+    fitGround,
+    getContactShadowSize
+} from './shadows.js';
+import { createAutoRotate } from './autorotate.js';
+import { createAnalytics, createConfiguredSinks, isDoNotTrack } from './analytics.js';
+import { parseEffects, getEnabledEffects } from './effects.js';
+import { createPostProcessing } from './postprocessing.js';
+import { parseHashState, formatHashState } from './deeplink.js';
+import { createDetailPanel, validateProjectContent } from './detail.js';
+// Debug panel, opened with ?debug in the URL
+const DEBUG = new URLSearchParams(window.location.search).has('debug');
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
 
-// Scene setup
-const scene = new THREE.Scene();
-scene.background = new THREE.Color(0xffffff);
-
-
-// Camera setup
-const camera = new THREE.PerspectiveCamera(
-    30,  // Slightly narrower FOV
-    window.innerWidth / window.innerHeight,
-    0.5, // Near plane
-    1000 // Far plane
-);
-// Start position - further back (180 degrees from original)
-camera.position.set(0, 40, -150);
-camera.lookAt(0, 0, 0);
+// Quality governor - starts from the tier the last visit settled on
+const QUALITY_TIER_KEY = 'carousel-quality-tier';
+const readStoredTier = () => {
+    try {
+        const index = QUALITY_TIERS.findIndex((tier) => tier.name === localStorage.getItem(QUALITY_TIER_KEY));
+        return index === -1 ? QUALITY_TIERS.length - 1 : index;
+    } catch (error) {
+        return QUALITY_TIERS.length - 1;
+    }
+};
+const qualityGovernor = createQualityGovernor({ initialTier: readStoredTier() });
 
 // Renderer setup with better defaults
 const renderer = new THREE.WebGLRenderer({ 
-    antialias: true,
+    antialias: qualityGovernor.tier.antialias,
     alpha: true,
     powerPreference: 'high-performance',
     stencil: false,
     depth: true
 });
-renderer.outputEncoding = THREE.sRGBEncoding;
-renderer.toneMapping = THREE.ACESFilmicToneMapping;
-renderer.toneMappingExposure = 1.0;
-renderer.setPixelRatio(window.devicePixelRatio);
-renderer.setSize(window.innerWidth, window.innerHeight);
+
+// Scene, camera, lights and ground (see stage.js)
+const {
+    scene,
+    camera,
+    lights: LIGHT_RIG,
+    ground,
+    groundMaterial,
+    shadowLight
+} = createStage({
+    renderer,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    pixelRatio: Math.min(window.devicePixelRatio, qualityGovernor.tier.maxPixelRatio),
+    shadowMapSize: qualityGovernor.tier.shadowMapSize
+});
+// Post-processing runs several render calls per frame; the counters are
+// reset once per frame so the debug panel sees the total
+renderer.info.autoReset = false;
 document.body.appendChild(renderer.domElement);
 
+// Post-processing: hover outline plus the tier's effects; ?effects= overrides them
+const requestedEffects = parseEffects(new URLSearchParams(window.location.search).get('effects'));
+const postProcessing = createPostProcessing({ renderer, scene, camera });
+postProcessing.setEffects(getEnabledEffects(qualityGovernor.tier, requestedEffects));
+
 // Add text overlay container
 const textOverlay = document.createElement('div');
 textOverlay.className = 'text-overlay';
@@ -54,541 +95,1894 @@ textOverlay.appendChild(titleText);
 // Add description text
 const descText = document.createElement('div');
 descText.className = 'desc-text';
-descText.textContent = 'Drag to rotate • Double click to open';
+// Instructions for each kind of input, swapped as the visitor switches devices
+const INPUT_HINTS = {
+    mouse: 'Drag to rotate • Double click to open',
+    touch: 'Drag to rotate • Tap to select, tap again to open',
+    keyboard: 'Arrow keys to browse • Enter to open'
+};
+const INSPECT_HINT = 'Drag to rotate • Scroll to zoom • Esc to return';
+let activeInputType = window.matchMedia('(pointer: coarse)').matches ? 'touch' : 'mouse';
+descText.textContent = INPUT_HINTS[activeInputType];
 textOverlay.appendChild(descText);
 
-// Enhanced lighting setup
-// 1. Main key light (bright, warm)
-const keyLight = new THREE.DirectionalLight(0xfff0d0, 1.8);
-keyLight.castShadow = true;
-keyLight.shadow.mapSize.width = 2048;
-keyLight.shadow.mapSize.height = 2048;
-keyLight.shadow.camera.near = 0.5;
-keyLight.shadow.camera.far = 50;
-keyLight.shadow.bias = -0.001;
-keyLight.shadow.normalBias = 0.02; // Reduce shadow acne
-scene.add(keyLight);
-
-// 2. Fill light (cool, soft)
-const fillLight = new THREE.DirectionalLight(0xd0e8ff, 0.6);
-fillLight.castShadow = false;
-scene.add(fillLight);
-
-// 3. Rim light (for edge definition)
-const rimLight = new THREE.DirectionalLight(0xffffff, 1.2);
-rimLight.castShadow = false;
-scene.add(rimLight);
-
-// 4. Ambient light (subtle, neutral color)
-const ambientLight = new THREE.AmbientLight(0x404056, 0.5);
-scene.add(ambientLight);
-
-// 5. Hemisphere light for natural outdoor-like lighting
-const hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
-hemiLight.position.set(0, 20, 0);
-scene.add(hemiLight);
-
-// Enable shadow map on the renderer
-renderer.shadowMap.enabled = true;
-renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-renderer.physicallyCorrectLights = true;
-
-// Add a subtle ground plane for better lighting reference
-const groundGeometry = new THREE.PlaneGeometry(20, 20);
-const groundMaterial = new THREE.ShadowMaterial({ 
-    color: 0x000000,
-    opacity: 0.2,
-    transparent: true
-});
-const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-ground.rotation.x = -Math.PI / 2;
-ground.position.y = -2;
-ground.receiveShadow = true;
-scene.add(ground);
+// Shadows
+// Cast by the fixed shadow light from stage.js. ?shadows=contact swaps the
+// shadow maps for a soft blob under each model, as does any quality tier
+// without shadows.
+const requestedShadowMode = new URLSearchParams(window.location.search).get('shadows');
+const shadowMode = SHADOW_MODES.includes(requestedShadowMode) ? requestedShadowMode : DEFAULT_SHADOW_MODE;
+
+// Contact shadows share one radial gradient, darkest in the middle
+const CONTACT_SHADOW_STRENGTH = 2; // relative to the preset's ground opacity
+const contactShadowTexture = (() => {
+    const size = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const context = canvas.getContext('2d');
+    const gradient = context.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+    gradient.addColorStop(0.5, 'rgba(0, 0, 0, 0.5)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, size, size);
+    return new THREE.CanvasTexture(canvas);
+})();
+const contactShadowGeometry = new THREE.PlaneGeometry(1, 1);
+const contactShadowLayer = new THREE.Group();
+contactShadowLayer.name = 'contact-shadows';
+scene.add(contactShadowLayer);
+// Strength follows the lighting preset; each shadow also fades with its model
+const contactShadowState = { opacity: 0.2 * CONTACT_SHADOW_STRENGTH };
+
+function applyContactShadowOpacity() {
+    contactShadowLayer.children.forEach((shadow) => {
+        shadow.material.opacity = contactShadowState.opacity * shadow.userData.fade;
+    });
+}
+
+// Shadow maps or contact shadows, by mode and quality tier
+function applyShadowMode(tier) {
+    shadowLight.castShadow = shadowMode === 'map' && tier.shadows;
+    contactShadowLayer.visible = !shadowLight.castShadow;
+}
+applyShadowMode(qualityGovernor.tier);
+
+// Fit the shadow camera, ground and contact shadows to the carousel as built
+function fitShadowsToCarousel() {
+    const box = new THREE.Box3().setFromObject(carousel);
+    if (box.isEmpty()) return;
+    const sphere = box.getBoundingSphere(new THREE.Sphere());
+    
+    const fit = fitShadowCamera({
+        center: sphere.center,
+        radius: sphere.radius,
+        mapSize: shadowLight.shadow.mapSize.width
+    });
+    shadowLight.position.set(fit.position.x, fit.position.y, fit.position.z);
+    shadowLight.target.position.set(fit.target.x, fit.target.y, fit.target.z);
+    shadowLight.target.updateMatrixWorld();
+    const shadowCamera = shadowLight.shadow.camera;
+    shadowCamera.left = fit.left;
+    shadowCamera.right = fit.right;
+    shadowCamera.top = fit.top;
+    shadowCamera.bottom = fit.bottom;
+    shadowCamera.near = fit.near;
+    shadowCamera.far = fit.far;
+    shadowCamera.updateProjectionMatrix();
+    // Reduce shadow acne; a texel covers more ground on wide layouts
+    shadowLight.shadow.normalBias = fit.texelSize * 1.5;
+    
+    const groundFit = fitGround({ center: sphere.center, radius: sphere.radius, bottom: box.min.y });
+    ground.position.set(groundFit.x, groundFit.y, groundFit.z);
+    ground.scale.set(groundFit.size, groundFit.size, 1);
+    
+    // One contact shadow per model, on the ground under its footprint
+    contactShadowLayer.children.forEach((shadow) => shadow.material.dispose());
+    contactShadowLayer.clear();
+    objects.forEach((group) => {
+        const { width, depth } = getContactShadowSize(group.userData.footprint);
+        const material = new THREE.MeshBasicMaterial({
+            map: contactShadowTexture,
+            transparent: true,
+            depthWrite: false,
+            toneMapped: false
+        });
+        const shadow = new THREE.Mesh(contactShadowGeometry, material);
+        const position = group.getWorldPosition(new THREE.Vector3());
+        // Lie flat, then turn with the model
+        shadow.rotation.set(-Math.PI / 2, group.rotation.y, 0, 'YXZ');
+        shadow.position.set(position.x, groundFit.y + 0.005, position.z);
+        shadow.scale.set(width * group.scale.x, depth * group.scale.x, 1);
+        // Keep the fade of an inspect in progress
+        shadow.userData.fade = group.userData.contactShadow?.userData.fade ?? 1;
+        group.userData.contactShadow = shadow;
+        contactShadowLayer.add(shadow);
+    });
+    applyContactShadowOpacity();
+}
+
+// Lighting presets
+// Picked with ?lighting=<name> or the switcher; every change tweens the rig,
+// background, exposure and environment to the new preset
+const LIGHTING_TRANSITION = 0.8; // seconds
+const environmentState = { intensity: LIGHTING_PRESETS[DEFAULT_LIGHTING_PRESET].environmentIntensity };
+let activeLightingPreset = null;
+let environmentTween = null;
+
+// Push the current environment strength onto every carousel material
+function applyEnvironmentIntensity() {
+    carousel.traverse((child) => {
+        if (!child.isMesh) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((material) => {
+            if (material && 'envMapIntensity' in material) {
+                material.envMapIntensity = environmentState.intensity;
+            }
+        });
+    });
+}
+
+const tweenColor = (color, hex, duration) => {
+    const target = new THREE.Color(hex);
+    gsap.to(color, { r: target.r, g: target.g, b: target.b, duration, ease: 'power1.inOut' });
+};
+
+function applyLightingPreset(name, { animate = true } = {}) {
+    const preset = LIGHTING_PRESETS[name];
+    if (!preset || name === activeLightingPreset) return;
+    activeLightingPreset = name;
+    
+    const duration = animate && !reducedMotionQuery.matches ? LIGHTING_TRANSITION : 0;
+    document.body.dataset.theme = preset.theme;
+    lightingSwitcher.querySelectorAll('button').forEach((button) => {
+        button.setAttribute('aria-pressed', String(button.dataset.preset === name));
+    });
+    
+    tweenColor(scene.background, preset.background, duration);
+    postProcessing.setOutlineColor(preset.outline);
+    gsap.to(renderer, { toneMappingExposure: preset.exposure, duration, ease: 'power1.inOut' });
+    gsap.to(groundMaterial, { opacity: preset.groundOpacity, duration });
+    gsap.to(contactShadowState, {
+        opacity: Math.min(1, preset.groundOpacity * CONTACT_SHADOW_STRENGTH),
+        duration,
+        onUpdate: applyContactShadowOpacity
+    });
+    Object.entries(LIGHT_RIG).forEach(([key, light]) => {
+        const settings = preset.lights[key];
+        tweenColor(light.color, settings.color, duration);
+        if (settings.groundColor !== undefined) tweenColor(light.groundColor, settings.groundColor, duration);
+        gsap.to(light, { intensity: settings.intensity, duration, ease: 'power1.inOut' });
+    });
+    
+    // Fade the old environment out and the new one in
+    loadEnvironment(renderer, preset)
+        .then((envMap) => {
+            if (activeLightingPreset !== name) return;
+            if (environmentTween) environmentTween.kill();
+            environmentTween = gsap.timeline({ onUpdate: applyEnvironmentIntensity })
+                .to(environmentState, { intensity: 0, duration: scene.environment ? duration / 2 : 0 })
+                .call(() => {
+                    scene.environment = envMap;
+                })
+                .to(environmentState, { intensity: preset.environmentIntensity, duration: duration / 2 });
+        })
+        .catch((error) => {
+            console.error(`Could not load the "${name}" lighting environment:`, error);
+        });
+}
+
+// Small toggle for switching presets at runtime
+const lightingSwitcher = document.createElement('div');
+lightingSwitcher.className = 'lighting-switcher';
+lightingSwitcher.setAttribute('role', 'group');
+lightingSwitcher.setAttribute('aria-label', 'Lighting');
+Object.entries(LIGHTING_PRESETS).forEach(([name, preset]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.preset = name;
+    button.textContent = preset.label;
+    button.addEventListener('click', () => {
+        applyLightingPreset(name);
+        // Keep the choice in the URL so the link reproduces it
+        const url = new URL(window.location.href);
+        url.searchParams.set('lighting', name);
+        history.replaceState(history.state, '', url);
+    });
+    lightingSwitcher.appendChild(button);
+});
+document.body.appendChild(lightingSwitcher);
 
 // Add rotation control variables
-let rotationDirection = 1; // 1 for right, -1 for left
 let lastDragTime = 0;
 let isDragging = false;
 let lastAzimuthalAngle = 0;
 
+// Auto-rotate
+// Stops while the visitor drags, hovers or selects a model and eases back in
+// once they've left it alone. The pause/play choice is remembered; without one,
+// reduced-motion visitors start paused.
+const AUTO_ROTATE_KEY = 'carousel-auto-rotate';
+const readStoredAutoRotate = () => {
+    try {
+        const value = localStorage.getItem(AUTO_ROTATE_KEY);
+        return value === 'on' || value === 'off' ? value === 'on' : null;
+    } catch (error) {
+        return null;
+    }
+};
+const autoRotate = createAutoRotate({
+    playing: readStoredAutoRotate() ?? !reducedMotionQuery.matches
+});
+
+const autoRotateToggle = document.createElement('button');
+autoRotateToggle.type = 'button';
+autoRotateToggle.className = 'auto-rotate-toggle';
+document.body.appendChild(autoRotateToggle);
+
+function updateAutoRotateToggle() {
+    const playing = autoRotate.playing;
+    autoRotateToggle.textContent = playing ? 'Pause rotation' : 'Play rotation';
+    autoRotateToggle.setAttribute('aria-pressed', String(!playing));
+}
+
+autoRotateToggle.addEventListener('click', () => {
+    autoRotate.setPlaying(!autoRotate.playing);
+    updateAutoRotateToggle();
+    try {
+        localStorage.setItem(AUTO_ROTATE_KEY, autoRotate.playing ? 'on' : 'off');
+    } catch (error) {
+        // Storage can be unavailable; the choice still applies for this visit
+    }
+});
+updateAutoRotateToggle();
+
+// Follow the system setting until the visitor makes their own choice
+reducedMotionQuery.addEventListener('change', (event) => {
+    if (readStoredAutoRotate() !== null) return;
+    autoRotate.setPlaying(!event.matches);
+    updateAutoRotateToggle();
+});
+
+// Engagement analytics (see analytics.js)
+// Silent until the manifest or ?analytics= names a sink
+const analytics = createAnalytics();
+const ANALYTICS_ZOOM_SETTLE = 500; // ms; wheel zooms closer together count as one
+
+function configureAnalytics(config) {
+    let storage = null;
+    try {
+        storage = window.localStorage;
+    } catch (error) {
+        // Storage can be unavailable; the local sink is skipped
+    }
+    analytics.setSinks(createConfiguredSinks(config, {
+        requested: new URLSearchParams(window.location.search).get('analytics'),
+        doNotTrack: isDoNotTrack(navigator, window),
+        storage,
+        sendBeacon: navigator.sendBeacon ? (url, data) => navigator.sendBeacon(url, data) : null
+    }));
+}
+configureAnalytics({});
+
+// Beacons are sent in batches; hand over whatever is queued before the page goes
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) analytics.flush();
+});
+window.addEventListener('pagehide', () => analytics.flush());
+
 // OrbitControls setup
 const controls = new OrbitControls(camera, renderer.domElement);
 controls.enablePan = false;
 controls.enableZoom = true;
 controls.enableRotate = true;
-controls.autoRotate = true;
-controls.autoRotateSpeed = 0.8;
+controls.autoRotate = false; // driven by autoRotate every frame
 controls.dampingFactor = 0.05;
 controls.rotateSpeed = 0.8;
 controls.enableDamping = true;
-controls.minDistance = 30;    // Allow getting closer
-controls.maxDistance = 200;   // Allow zooming out further
+controls.minDistance = 30;    // Replaced by updateCameraFraming once the carousel is built
+controls.maxDistance = 200;
 controls.target.set(0, 0, 0); // Look at center
 
 // Update controls to apply changes
 controls.update();
 
 // Add control event listeners
+let controlsStartTime = 0;
+let controlsStartDistance = 0;
+let pendingZoom = null;
+
 controls.addEventListener('start', () => {
     isDragging = true;
     lastAzimuthalAngle = controls.getAzimuthalAngle();
+    controlsStartTime = performance.now();
+    controlsStartDistance = camera.position.distanceTo(controls.target);
+    autoRotate.hold('drag');
 });
 
 controls.addEventListener('end', () => {
     isDragging = false;
     const currentAngle = controls.getAzimuthalAngle();
-    // Invert the direction calculation for more intuitive control
-    rotationDirection = -Math.sign(currentAngle - lastAzimuthalAngle);
-    if (rotationDirection === 0) rotationDirection = 1; // Default to right if no movement
-    controls.autoRotateSpeed = 2.0 * rotationDirection;
+    // Keep turning the way the visitor dragged (zooming leaves the direction alone)
+    autoRotate.setDirection(-Math.sign(currentAngle - lastAzimuthalAngle));
+    autoRotate.release('drag');
+    trackCameraMove(currentAngle);
 });
 
+// Report a finished gesture as a drag or a zoom; clicks move nothing and aren't reported
+function trackCameraMove(currentAngle) {
+    if (!analytics.enabled) return;
+    const turned = Math.atan2(Math.sin(currentAngle - lastAzimuthalAngle), Math.cos(currentAngle - lastAzimuthalAngle));
+    const degrees = Math.abs(THREE.MathUtils.radToDeg(turned));
+    const distance = camera.position.distanceTo(controls.target);
+    
+    if (degrees >= 1) {
+        analytics.track('drag', {
+            degrees: Math.round(degrees),
+            duration: Math.round(performance.now() - controlsStartTime)
+        });
+    } else if (Math.abs(distance - controlsStartDistance) > controlsStartDistance * 0.01) {
+        // Every wheel step is its own gesture, so wait for the scrolling to stop
+        if (pendingZoom) {
+            clearTimeout(pendingZoom.timer);
+        } else {
+            pendingZoom = { from: controlsStartDistance };
+        }
+        pendingZoom.timer = setTimeout(() => {
+            analytics.track('zoom', {
+                from: Math.round(pendingZoom.from),
+                to: Math.round(camera.position.distanceTo(controls.target))
+            });
+            pendingZoom = null;
+        }, ANALYTICS_ZOOM_SETTLE);
+    }
+}
+
 // Carousel group
 const carousel = new THREE.Object3D();
 scene.add(carousel);
 
 // Create objects
-const radius = 4; // Distance from center to each model
 const objects = [];
 
 // GLTF loader setup
-const loader = new GLTFLoader();
-const MODEL_PATHS = ['./rockbodytest.glb', './shintest.glb', './kidsynth.glb'];
+// Draco, Meshopt and KTX2 compressed assets are decoded with the copies in libs/
+const loader = new GLTFLoader()
+    .setDRACOLoader(new DRACOLoader().setDecoderPath('./libs/draco/'))
+    .setKTX2Loader(new KTX2Loader().setTranscoderPath('./libs/basis/').detectSupport(renderer))
+    .setMeshoptDecoder(MeshoptDecoder);
 
-// Load models and create instances
-const loadModels = () => {
-    const models = [];
-    let loadedCount = 0;
-    
-    MODEL_PATHS.forEach((path, index) => {
-        loader.load(path, (gltf) => {
-            models[index] = gltf.scene;
-            loadedCount++;
-            
-            // When all models are loaded, create the carousel
-            if (loadedCount === MODEL_PATHS.length) {
-                createCarousel(models);
-            }
-        });
+// Project manifest - one entry per carousel item
+let projectList = [];
+let manifestLayout = {};
+
+// Layout from the manifest; ?layout=<mode> tries another strategy without editing it
+const getLayoutOptions = () => {
+    const requested = new URLSearchParams(window.location.search).get('layout');
+    return {
+        ...DEFAULT_LAYOUT,
+        ...manifestLayout,
+        ...(LAYOUT_MODES.includes(requested) ? { mode: requested } : {})
+    };
+};
+
+// Loading progress indicator
+const loadingIndicator = document.createElement('div');
+loadingIndicator.className = 'loading-indicator';
+loadingIndicator.setAttribute('role', 'progressbar');
+loadingIndicator.setAttribute('aria-label', 'Loading projects');
+loadingIndicator.setAttribute('aria-valuemin', '0');
+loadingIndicator.setAttribute('aria-valuemax', '100');
+const loadingBar = document.createElement('div');
+loadingBar.className = 'loading-bar';
+loadingIndicator.appendChild(loadingBar);
+textOverlay.appendChild(loadingIndicator);
+
+// Visible notice for anything that failed to load
+const loadNotice = document.createElement('div');
+loadNotice.className = 'load-notice';
+loadNotice.setAttribute('role', 'status');
+textOverlay.appendChild(loadNotice);
+
+// What to do when a model fails: 'placeholder' keeps the slot, 'skip' drops it
+const MODEL_ERROR_MODE = 'placeholder';
+
+const setLoadingProgress = (fraction) => {
+    const percent = Math.round(Math.min(Math.max(fraction, 0), 1) * 100);
+    loadingBar.style.width = `${percent}%`;
+    loadingIndicator.setAttribute('aria-valuenow', String(percent));
+};
+
+const hideLoadingIndicator = () => {
+    setLoadingProgress(1);
+    gsap.to(loadingIndicator, {
+        opacity: 0,
+        duration: 0.4,
+        delay: 0.2,
+        onComplete: () => loadingIndicator.remove()
     });
 };
 
-// Configuration for each model position
-// Each object in this array controls one model instance
-// Use simple x,y,z coordinates for positioning
-// Rotation values are in radians
-const MODEL_POSITIONS = [
-    // MODEL 1: Front-center model (rockbodytest.glb)
-    {
-        name: 'rockbody',
-        position: { x: -8, y: 0, z: 0 },  // Move back 4 units
-        rotation: { x: -.5, y: 1.9, z: 1.5 },   // Facing forward
-        scale: MODEL_SCALE
-    },
-    // MODEL 2: Right-side model (shintest.glb)
-    {
-        name: 'shin',
-        position: { 
-            x: 3,    // Move right 3 units
-            y: 1,    // Same height
-            z: -7    // Move back 2 units
-        },   
-        rotation: { x: .50, y: -.45, z: 1 },  // Slight right turn
-        scale: MODEL_SCALE
-    },
-    // MODEL 3: Left-side model (kidsynth.glb)
-    {
-        name: 'kidsynth',
-        position: { 
-            x: 7,   // Move left 3 units
-            y: 0,    // Same height
-            z: 9    // Move back 2 units
-        },   
-        rotation: { x: 0, y: 3.8, z: 0 },   // Slight left turn
-        scale: MODEL_SCALE
-    }
-];
-
-// Create the carousel with the loaded models
-const createCarousel = (modelTemplates) => {
-    console.log('Creating carousel with models:', modelTemplates);
-    // Clear existing objects
-    objects.length = 0;
+const showLoadNotice = (message) => {
+    loadNotice.textContent = message;
+    loadNotice.classList.add('visible');
+};
+
+// Simple stand-in so a project whose model failed is still reachable
+const createPlaceholderModel = () => {
+    const placeholder = new THREE.Mesh(
+        new THREE.BoxGeometry(0.6, 0.6, 0.6),
+        new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.8, metalness: 0 })
+    );
+    placeholder.name = 'placeholder';
+    placeholder.userData.isPlaceholder = true;
+    return placeholder;
+};
+
+// Load models and create instances
+// Every model settles (loaded or failed) before the carousel is built,
+// so one missing file never leaves the whole carousel empty. Projects with a
+// low-poly "preview" settle as soon as it arrives and swap in the full model later.
+const loadModels = (projects) => {
+    const models = [];
+    const progress = projects.map(() => 0);
+    const failed = [];
+    let settledCount = 0;
+    let built = false;
     
-    // Create instances based on MODEL_POSITIONS
-    for (let i = 0; i < MODEL_POSITIONS.length; i++) {
-        const config = MODEL_POSITIONS[i];
-        
-        // Create a group to hold the model
-        const group = new THREE.Group();
-        group.name = `carousel-item-${i}`;
-        
-        // Store the model name in userData for easier reference
-        group.userData.name = config.name;
-        
-        // Use a different model for each position
-        const modelIndex = i % modelTemplates.length;
-        const model = modelTemplates[modelIndex].clone();
-        model.name = `model-${i}-${modelIndex}`;
-        
-        // Apply scale from config
-        const scale = config.scale || MODEL_SCALE;
-        model.scale.set(scale, scale, scale);
-        model.userData.originalScale = scale;
-        
-        // Create a new position object for each model to prevent reference sharing
-        const position = {
-            x: config.position.x,
-            y: config.position.y || 0,
-            z: config.position.z
-        };
-        
-        // Create a new rotation object for each model to prevent reference sharing
-        const rotation = {
-            x: config.rotation?.x || 0,
-            y: config.rotation?.y || 0,
-            z: config.rotation?.z || 0
-        };
+    const updateProgress = () => {
+        setLoadingProgress(progress.reduce((sum, value) => sum + value, 0) / projects.length);
+    };
+    
+    const trackProgress = (index) => (event) => {
+        if (event.lengthComputable && event.total > 0) {
+            // Hold back the last bit until parsing finishes
+            progress[index] = (event.loaded / event.total) * 0.95;
+            updateProgress();
+        }
+    };
+    
+    // Keep the clips with the scene; clones copy them along
+    const toTemplate = (gltf) => {
+        gltf.scene.animations = gltf.animations;
+        return gltf.scene;
+    };
+    
+    const settle = (index) => {
+        progress[index] = 1;
+        settledCount++;
+        updateProgress();
         
-        // Enable shadows and improve material appearance
-        model.traverse((child) => {
-            if (child.isMesh) {
-                child.castShadow = true;
-                child.receiveShadow = true;
-                if (child.material) {
-                    child.material.roughness = 0.5;
-                    child.material.metalness = 0.1;
-                    child.material.envMapIntensity = 0.5;
-                    child.material.side = THREE.DoubleSide;
+        // When every model has loaded or failed, create the carousel
+        if (settledCount === projects.length) {
+            built = true;
+            createCarousel(projects, models);
+            hideLoadingIndicator();
+            if (failed.length > 0) {
+                const titles = failed.map((project) => project.title).join(', ');
+                showLoadNotice(`Some 3D models couldn't be loaded: ${titles}`);
+            }
+        }
+    };
+    
+    // Load the full model and settle the slot with it
+    const loadFullModel = (project, index) => {
+        loader.load(
+            project.model,
+            (gltf) => {
+                models[index] = toTemplate(gltf);
+                settle(index);
+            },
+            trackProgress(index),
+            (error) => {
+                console.error(`Failed to load model for "${project.id}" (${project.model}):`, error);
+                failed.push(project);
+                models[index] = MODEL_ERROR_MODE === 'placeholder' ? createPlaceholderModel() : null;
+                settle(index);
+            }
+        );
+    };
+    
+    // Fetch the full model behind a preview that has already settled the slot
+    const upgradePreview = (project, index) => {
+        loader.load(
+            project.model,
+            (gltf) => {
+                const template = toTemplate(gltf);
+                if (built) {
+                    swapCarouselModel(project, template);
+                } else {
+                    models[index] = template;
                 }
+            },
+            undefined,
+            (error) => {
+                console.error(`Failed to load model for "${project.id}" (${project.model}), keeping the preview:`, error);
+            }
+        );
+    };
+    
+    projects.forEach((project, index) => {
+        if (!project.preview) {
+            loadFullModel(project, index);
+            return;
+        }
+        loader.load(
+            project.preview,
+            (gltf) => {
+                models[index] = toTemplate(gltf);
+                settle(index);
+                upgradePreview(project, index);
+            },
+            trackProgress(index),
+            (error) => {
+                console.warn(`Failed to load preview for "${project.id}" (${project.preview}):`, error);
+                loadFullModel(project, index);
             }
+        );
+    });
+};
+
+// Free the GPU copies of a model that is no longer shown
+const disposeModel = (root) => {
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+        child.geometry.dispose();
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+            Object.values(material).forEach((value) => {
+                if (value?.isTexture) value.dispose();
+            });
+            material.dispose();
         });
-        
-        group.add(model);
-        
-        // Apply position, rotation, and scale
-        group.position.set(position.x, position.y, position.z);
-        group.rotation.set(rotation.x, rotation.y, rotation.z);
-        group.scale.set(scale, scale, scale);
-        
-        // Store the original transform data for reference
-        group.userData.originalPosition = { ...position };
-        group.userData.originalRotation = { ...rotation };
-        group.userData.originalScale = scale;
-        
-        carousel.add(group);
-        objects.push(group);
-        
-        // Debug output
-        console.log(`Created model ${i} at position:`, position, 'rotation:', rotation);
+    });
+};
+
+// Replace a preview with the full model once it arrives
+// The layout slot stays as it is: both are normalised to the same size
+const swapCarouselModel = (project, template) => {
+    const group = objects.find((item) => item.userData.project === project);
+    if (!group) return;
+    
+    const preview = group.userData.model;
+    group.remove(preview);
+    disposeModel(preview);
+    populateCarouselItem(group, project, template, {
+        size: getLayoutOptions().size,
+        playIdle: !reducedMotionQuery.matches
+    });
+    fitShadowsToCarousel();
+    
+    // Carry over whatever state the preview was in
+    if (inspectState?.model === group) {
+        hideHotspots();
+        showHotspots(group);
+    } else if (inspectState?.others.includes(group)) {
+        setGroupOpacity(group, inspectState.fade.opacity);
     }
+    if (interaction.hovered === group) group.userData.animator?.play('hover');
+    if (interaction.selected === group) group.userData.animator?.play('select');
+    
+    applyEnvironmentIntensity();
+    requestRender();
+};
+
+// Create the carousel with the loaded models (see carousel.js)
+const createCarousel = (projects, modelTemplates) => {
+    const { groups, overlaps } = buildCarousel(projects, modelTemplates, getLayoutOptions(), {
+        playIdle: !reducedMotionQuery.matches
+    });
+    overlaps.forEach(([a, b]) => {
+        console.warn(`Projects "${groups[a].userData.name}" and "${groups[b].userData.name}" overlap; ` +
+            'check their positions in projects.json');
+    });
+    
+    // Replace existing objects
+    objects.length = 0;
+    objects.push(...groups);
+    groups.forEach((group) => carousel.add(group));
+    debugPanel?.setGroups(objects);
+    
+    // Environment strength comes from the lighting preset
+    applyEnvironmentIntensity();
+    
+    fitShadowsToCarousel();
+    
+    // Fit the camera to what was built, unless it is coming back to a saved view
+    const sphere = new THREE.Box3().setFromObject(carousel).getBoundingSphere(new THREE.Sphere());
+    carouselRadius = sphere.center.distanceTo(controls.target) + sphere.radius;
+    updateCameraFraming({
+        fit: !restoredCamera && parseHashState(window.location.hash).distance === undefined
+    });
+    
+    requestRender();
+    applyPendingHashState();
 };
 
 // Start loading models
-loadModels();
+loadProjects()
+    .then(({ projects, layout, analytics: analyticsConfig }) => {
+        projectList = projects;
+        manifestLayout = layout;
+        configureAnalytics(analyticsConfig);
+        loadModels(projects);
+    })
+    .catch((error) => {
+        console.error('Could not load projects:', error.message);
+        loadingIndicator.remove();
+        showLoadNotice("Projects couldn't be loaded. Please refresh the page to try again.");
+    });
 
 // Raycaster setup
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2(-2, 2); // Initialize off-screen
-let hoveredObject = null;
 const HOVER_SCALE = 1.1; // Even more subtle hover effect
-let isHovering = false;
 
-// Track the currently hovered model
-let currentHoveredModel = null;
+// Single source of truth for hover, select and open
+const interaction = createInteractionController();
 
-// Hover effect handler
-function handleHover() {
+// Ease a carousel group back to its resting scale
+function resetModelScale(model) {
+    gsap.to(model.scale, {
+        x: model.userData.originalScale,
+        y: model.userData.originalScale,
+        z: model.userData.originalScale,
+        duration: 0.3,
+        ease: 'power2.out'
+    });
+}
+
+// Highlight visuals follow the controller, so hover, tap and keyboard focus look the same
+interaction.addEventListener('highlight', ({ item: model, previous }) => {
+    // Reset previous hovered model
+    if (previous) {
+        resetModelScale(previous);
+    }
+    
+    if (!model) {
+        document.body.classList.remove('pointer-cursor');
+        hideProjectCard();
+        return;
+    }
+    
+    // Ensure the model has a name in userData
+    if (!model.userData.name) {
+        model.userData.name = model.name || '';
+    }
+    
+    // Change cursor to black pointer
+    document.body.classList.add('pointer-cursor');
+    
+    showProjectCard(model);
+    
+    // Animate hover effect
+    const hoverScale = model.userData.originalScale * HOVER_SCALE;
+    gsap.to(model.scale, {
+        x: hoverScale,
+        y: hoverScale,
+        z: hoverScale,
+        duration: 0.3,
+        ease: 'power2.out'
+    });
+});
+
+// Model animations follow hover and selection
+interaction.addEventListener('hoverstart', ({ item }) => item.userData.animator?.play('hover'));
+interaction.addEventListener('hoverend', ({ item }) => item.userData.animator?.stop('hover'));
+interaction.addEventListener('select', ({ item, previous }) => {
+    previous?.userData.animator?.stop('select');
+    item.userData.animator?.play('select');
+});
+interaction.addEventListener('deselect', ({ previous }) => previous?.userData.animator?.stop('select'));
+
+// The pipeline outlines the highlighted item, on top of the hover scaling
+interaction.addEventListener('highlight', ({ item }) => postProcessing.setOutlined(item ? [item] : []));
+
+// Analytics: which projects are hovered, and for how long
+let hoverStartTime = 0;
+interaction.addEventListener('hoverstart', ({ item }) => {
+    hoverStartTime = performance.now();
+    analytics.track('hover-start', { project: item.userData.name });
+});
+interaction.addEventListener('hoverend', ({ item }) => {
+    analytics.track('hover-duration', {
+        project: item.userData.name,
+        duration: Math.round(performance.now() - hoverStartTime)
+    });
+});
+
+// Auto-rotate waits while a model is hovered, and for the idle delay after a
+// selection (a click, key or tap), so the selected model isn't carried away at once
+interaction.addEventListener('hoverstart', () => autoRotate.hold('hover'));
+interaction.addEventListener('hoverend', () => autoRotate.release('hover'));
+interaction.addEventListener('select', () => autoRotate.wait());
+
+// Hover info card, anchored above the highlighted group
+const projectCard = document.createElement('div');
+projectCard.className = 'project-card';
+projectCard.setAttribute('aria-hidden', 'true');
+textOverlay.appendChild(projectCard);
+
+const PROJECT_CARD_MARGIN = 12; // px kept clear of the viewport edges
+const PROJECT_CARD_OFFSET = 16; // px between the model and the card
+let projectCardModel = null;
+let projectCardTween = null;
+const projectCardBox = new THREE.Box3();
+const projectCardAnchor = new THREE.Vector3();
+
+function fillProjectCard(project) {
+    projectCard.replaceChildren();
+    
+    const heading = document.createElement('div');
+    heading.className = 'project-card-title';
+    heading.textContent = project.title;
+    projectCard.appendChild(heading);
+    
+    if (project.year !== undefined) {
+        const year = document.createElement('div');
+        year.className = 'project-card-year';
+        year.textContent = String(project.year);
+        projectCard.appendChild(year);
+    }
+    
+    if (project.summary) {
+        const summary = document.createElement('p');
+        summary.className = 'project-card-summary';
+        summary.textContent = project.summary;
+        projectCard.appendChild(summary);
+    }
+    
+    if (project.tags?.length) {
+        const tags = document.createElement('ul');
+        tags.className = 'project-card-tags';
+        project.tags.forEach((tag) => {
+            const item = document.createElement('li');
+            item.textContent = tag;
+            tags.appendChild(item);
+        });
+        projectCard.appendChild(tags);
+    }
+}
+
+function showProjectCard(model) {
+    const project = model.userData.project;
+    if (!project) return;
+    
+    projectCardModel = model;
+    fillProjectCard(project);
+    updateProjectCard();
+    
+    if (projectCardTween) projectCardTween.kill();
+    projectCardTween = gsap.fromTo(projectCard,
+        { opacity: 0, y: 8 },
+        { opacity: 1, y: 0, duration: 0.25, ease: 'power2.out', visibility: 'visible' }
+    );
+}
+
+function hideProjectCard() {
+    if (!projectCardModel) return;
+    projectCardModel = null;
+    
+    if (projectCardTween) projectCardTween.kill();
+    projectCardTween = gsap.to(projectCard, {
+        opacity: 0,
+        y: 8,
+        duration: 0.2,
+        ease: 'power2.in',
+        onComplete: () => {
+            projectCard.style.visibility = 'hidden';
+        }
+    });
+}
+
+// Project the top of the group's bounds to the screen and keep the card inside the viewport
+function updateProjectCard() {
+    if (!projectCardModel) return;
+    
+    projectCardBox.setFromObject(projectCardModel);
+    projectCardBox.getCenter(projectCardAnchor);
+    projectCardAnchor.y = projectCardBox.max.y;
+    projectCardAnchor.project(camera);
+    
+    // Hide while the anchor is behind the camera
+    if (projectCardAnchor.z > 1) {
+        projectCard.style.display = 'none';
+        return;
+    }
+    projectCard.style.display = '';
+    
+    const screenX = (projectCardAnchor.x + 1) / 2 * window.innerWidth;
+    const screenY = (1 - projectCardAnchor.y) / 2 * window.innerHeight;
+    const width = projectCard.offsetWidth;
+    const height = projectCard.offsetHeight;
+    
+    const left = THREE.MathUtils.clamp(
+        screenX - width / 2,
+        PROJECT_CARD_MARGIN,
+        window.innerWidth - width - PROJECT_CARD_MARGIN
+    );
+    const top = THREE.MathUtils.clamp(
+        screenY - height - PROJECT_CARD_OFFSET,
+        PROJECT_CARD_MARGIN,
+        window.innerHeight - height - PROJECT_CARD_MARGIN
+    );
+    projectCard.style.left = `${left}px`;
+    projectCard.style.top = `${top}px`;
+}
+
+// Find the carousel group under the pointer, if any
+function pickModel() {
     // Update raycaster with current mouse position
     raycaster.setFromCamera(mouse, camera);
     
     // Calculate objects intersecting the picking ray
     const intersects = raycaster.intersectObjects(objects, true);
     
-    if (intersects.length > 0) {
-        // Find the first object that has a parent with userData (our actual model)
-        let model = null;
-        for (let i = 0; i < intersects.length; i++) {
-            let obj = intersects[i].object;
-            // Traverse up the parent chain to find our model group
-            while (obj && !obj.userData.originalPosition) {
-                obj = obj.parent;
-            }
-            if (obj && obj.userData.originalPosition) {
-                model = obj;
-                break;
+    // Find the first object that belongs to a carousel group
+    for (let i = 0; i < intersects.length; i++) {
+        const group = findCarouselGroup(intersects[i].object);
+        if (group) return group;
+    }
+    return null;
+}
+
+// Hover effect handler
+function handleHover() {
+    interaction.hover(pickModel());
+}
+
+// Camera state saved before leaving for a project page, restored once when
+// coming back, whether by the browser's Back or the page's own back link
+const CAMERA_STATE_KEY = 'carousel-camera-state';
+let navigationTimeline = null;
+
+function saveCameraState() {
+    const state = {
+        position: camera.position.toArray(),
+        target: controls.target.toArray(),
+        rotationDirection: autoRotate.direction
+    };
+    try {
+        sessionStorage.setItem(CAMERA_STATE_KEY, JSON.stringify(state));
+    } catch (error) {
+        // Storage can be unavailable (private mode, quota); the transition still runs
+    }
+}
+
+// Read and forget the saved state, applying it to the camera unless `apply` is false
+function restoreCameraState({ apply = true } = {}) {
+    let state = null;
+    try {
+        state = JSON.parse(sessionStorage.getItem(CAMERA_STATE_KEY));
+        sessionStorage.removeItem(CAMERA_STATE_KEY);
+    } catch (error) {
+        return false;
+    }
+    if (!apply) return false;
+    if (!state || !Array.isArray(state.position) || !Array.isArray(state.target)) return false;
+    
+    camera.position.fromArray(state.position);
+    controls.target.fromArray(state.target);
+    camera.lookAt(controls.target);
+    autoRotate.setDirection(state.rotationDirection);
+    controls.update();
+    return true;
+}
+
+// Camera position that frames a carousel group from the current viewing direction
+// screenOffset (0-1) shifts the group left by that share of the viewport width
+function getFramingView(model, screenOffset = 0) {
+    const sphere = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+    const direction = camera.position.clone().sub(sphere.center).normalize();
+    const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+    const distance = (sphere.radius / Math.sin(halfFov)) * 1.2;
+    const position = sphere.center.clone().add(direction.clone().multiplyScalar(distance));
+    const target = sphere.center.clone();
+    
+    if (screenOffset > 0) {
+        const right = new THREE.Vector3().crossVectors(direction.negate(), camera.up).normalize();
+        const halfWidth = distance * Math.tan(halfFov) * camera.aspect;
+        const shift = right.multiplyScalar(halfWidth * screenOffset);
+        position.add(shift);
+        target.add(shift);
+    }
+    return { position, target };
+}
+
+// Share of the viewport the detail panel covers on wide screens
+const getDetailPanelCoverage = () => (window.innerWidth > 900
+    ? Math.min(760, window.innerWidth * 0.6) / window.innerWidth
+    : 0);
+
+// Tween the camera and orbit target together
+function moveCamera({ position, target }, { duration = 1.0, onComplete } = {}) {
+    return gsap.timeline({
+        defaults: { duration, ease: 'power2.inOut' },
+        onUpdate: () => camera.lookAt(controls.target),
+        onComplete
+    })
+        .to(camera.position, { x: position.x, y: position.y, z: position.z }, 0)
+        .to(controls.target, { x: target.x, y: target.y, z: target.z }, 0);
+}
+
+// Detail panel
+// Projects with structured content open in a panel over the scene; the rest
+// still navigate to their static page
+const detailPanel = createDetailPanel({
+    onClose: () => closeProjectDetail(),
+    linkFor: (project) => formatHashState({ project: project.id, view: 'detail' }),
+    // Switching replaces the panel's history entry, so closing still steps back over just one
+    onSwitch: (project) => {
+        const model = objects.find((group) => group.userData.name === project.id);
+        if (!model) {
+            window.location.hash = formatHashState({ project: project.id, view: 'detail' });
+            return;
+        }
+        swapProjectDetail(model);
+        writeHashState({ project: project.id, view: 'detail' });
+    }
+});
+document.body.appendChild(detailPanel.element);
+
+const projectContentCache = new Map();
+let detailModel = null;
+let detailReturnView = null; // camera before the fly-in, restored on close
+let detailPushedHistory = false; // opening added a history entry, so closing steps back over it
+let closingDetailHistory = false; // the popstate from that step back is ours to ignore
+
+function loadProjectContent(project) {
+    if (!projectContentCache.has(project.id)) {
+        const promise = fetch(project.content)
+            .then((response) => {
+                if (!response.ok) {
+                    throw new Error(`${project.content}: request failed (${response.status})`);
+                }
+                return response.json();
+            })
+            .then((content) => {
+                validateProjectContent(content, project.content);
+                return content;
+            });
+        // Let a failed load be retried
+        promise.catch(() => projectContentCache.delete(project.id));
+        projectContentCache.set(project.id, promise);
+    }
+    return projectContentCache.get(project.id);
+}
+
+function showProjectDetail(model, { updateHistory = true } = {}) {
+    const project = model.userData.project;
+    detailModel = model;
+    if (updateHistory) {
+        writeHashState({ push: true, project: project.id, view: 'detail' });
+        detailPushedHistory = true;
+    }
+    
+    loadProjectContent(project)
+        .then((content) => {
+            // Another project may have been opened (or the panel closed) meanwhile
+            if (detailModel !== model) return;
+            detailPanel.open(project, content, projectList.filter((other) => other.id !== project.id));
+        })
+        .catch((error) => {
+            console.error(`Could not load content for "${project.id}":`, error);
+            // The static page still has the case study
+            window.location.href = getProjectPage(project);
+        });
+}
+
+// Switch an open panel to another project, re-framing the camera on it
+function swapProjectDetail(model) {
+    if (navigationTimeline) navigationTimeline.kill();
+    navigationTimeline = null;
+    if (!reducedMotionQuery.matches) {
+        navigationTimeline = moveCamera(getFramingView(model, getDetailPanelCoverage()), {
+            duration: 0.8,
+            onComplete: () => {
+                navigationTimeline = null;
             }
+        });
+    }
+    showProjectDetail(model, { updateHistory: false });
+}
+
+function closeProjectDetail({ updateHistory = true } = {}) {
+    if (!detailModel) return;
+    detailModel = null;
+    const pushedHistory = detailPushedHistory;
+    detailPushedHistory = false;
+    detailPanel.close();
+    
+    if (navigationTimeline) {
+        navigationTimeline.kill();
+        navigationTimeline = null;
+    }
+    
+    const returnView = detailReturnView;
+    detailReturnView = null;
+    const finish = () => {
+        navigationTimeline = null;
+        controls.enabled = true;
+        interaction.reset();
+        clearModelFocus();
+        autoRotate.release('detail');
+        updateCameraFraming();
+        // The panel gives focus back to where it was; opened from a deep link that's nowhere
+        if (document.activeElement === document.body) renderer.domElement.focus({ preventScroll: true });
+    };
+    
+    const animate = !reducedMotionQuery.matches;
+    gsap.to(textOverlay, { opacity: 1, duration: animate ? 0.5 : 0 });
+    if (returnView && animate) {
+        navigationTimeline = moveCamera(returnView, { onComplete: finish });
+    } else {
+        if (returnView) {
+            camera.position.copy(returnView.position);
+            controls.target.copy(returnView.target);
+            camera.lookAt(controls.target);
         }
-        
-        if (model && model !== currentHoveredModel) {
-            // If we have a new hovered model
-            if (currentHoveredModel) {
-                // Reset previous hovered model
-                gsap.to(currentHoveredModel.scale, {
-                    x: currentHoveredModel.userData.originalScale,
-                    y: currentHoveredModel.userData.originalScale,
-                    z: currentHoveredModel.userData.originalScale,
-                    duration: 0.3,
-                    ease: 'power2.out'
-                });
+        finish();
+    }
+    
+    // Step back over the entry the panel added, so Back doesn't reopen it
+    if (updateHistory && pushedHistory) {
+        closingDetailHistory = true;
+        history.back();
+    } else if (updateHistory) {
+        writeHashState();
+    }
+}
+
+// Fly the camera in to the selected group, then open its detail panel or page
+// Any click, tap or key press during the move skips straight to the end
+// Opens triggered by a deep link (see applyHashState) don't add history
+function openProject(model) {
+    // The camera is still moving: put the controller back rather than leave it stuck in 'open'
+    if (navigationTimeline) {
+        interaction.reset();
+        return;
+    }
+    
+    const project = model.userData.project;
+    const fromHash = hashStateOptions;
+    const route = getProjectRoute(project);
+    const hasDetail = route.view === 'detail';
+    // Deep links and Back re-open projects the visitor already opened once
+    if (!fromHash) analytics.track('open', { project: project.id, view: route.view });
+    const finish = hasDetail
+        ? () => showProjectDetail(model, { updateHistory: !fromHash })
+        : () => {
+            window.location.href = route.href;
+        };
+    
+    // The detail panel flies back to detailReturnView instead
+    if (!hasDetail) saveCameraState();
+    detailReturnView = {
+        position: camera.position.clone(),
+        target: controls.target.clone()
+    };
+    controls.enabled = false;
+    autoRotate.hold('detail');
+    
+    const framing = getFramingView(model, hasDetail ? getDetailPanelCoverage() : 0);
+    if (reducedMotionQuery.matches || (fromHash && !fromHash.animate)) {
+        // Deep links land framed; reduced motion keeps the camera where it is
+        if (!reducedMotionQuery.matches) {
+            camera.position.copy(framing.position);
+            controls.target.copy(framing.target);
+            camera.lookAt(controls.target);
+        }
+        textOverlay.style.opacity = '0';
+        finish();
+        return;
+    }
+    
+    // Listen from the next frame so the event that started the transition doesn't skip it
+    const skip = () => navigationTimeline?.progress(1);
+    requestAnimationFrame(() => {
+        window.addEventListener('pointerdown', skip, { once: true });
+        window.addEventListener('keydown', skip, { once: true });
+    });
+    
+    navigationTimeline = moveCamera(framing, {
+        onComplete: () => {
+            window.removeEventListener('pointerdown', skip);
+            window.removeEventListener('keydown', skip);
+            if (hasDetail) navigationTimeline = null;
+            finish();
+        }
+    });
+    navigationTimeline.to(textOverlay, { opacity: 0, duration: 0.5, ease: 'power1.out' }, 0);
+}
+
+// Opening a model from any input shows its detail panel or navigates to its page
+interaction.addEventListener('open', ({ item }) => openProject(item));
+
+// Inspect mode
+// The selected model slides to the middle of the carousel with orbit limits
+// fitted to its size while the others fade out. Hotspots from the manifest are
+// labelled on it. Esc or the button puts everything back.
+const INSPECT_DURATION = 0.8; // seconds
+let inspectState = null; // model, fade and the view to return to
+let inspectTimeline = null;
+let activeHotspots = [];
+
+const inspectButton = document.createElement('button');
+inspectButton.type = 'button';
+inspectButton.className = 'inspect-button';
+inspectButton.hidden = true;
+inspectButton.addEventListener('click', () => {
+    if (inspectState) {
+        exitInspect();
+    } else {
+        interaction.inspect(interaction.selected);
+    }
+});
+document.body.appendChild(inspectButton);
+
+const hotspotLayer = document.createElement('div');
+hotspotLayer.className = 'inspect-hotspots';
+hotspotLayer.setAttribute('aria-label', 'Design notes');
+document.body.appendChild(hotspotLayer);
+
+const hotspotRaycaster = new THREE.Raycaster();
+const hotspotPosition = new THREE.Vector3();
+
+// Offered while a project is selected, and as the way out while inspecting
+function updateInspectButton() {
+    const state = interaction.state;
+    inspectButton.hidden = state !== 'selected' && state !== 'inspect';
+    inspectButton.textContent = state === 'inspect' ? 'Exit inspect' : 'Inspect in 3D';
+}
+
+['select', 'deselect', 'open', 'inspect', 'inspectend'].forEach((type) => {
+    interaction.addEventListener(type, updateInspectButton);
+});
+
+// Fade a group's materials; the authored opacity is kept on the material and put back at 1
+function setGroupOpacity(group, opacity) {
+    group.traverse((child) => {
+        if (!child.isMesh) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+            if (!material.userData.inspectFade) {
+                material.userData.inspectFade = { opacity: material.opacity, transparent: material.transparent };
+                material.transparent = true;
+                material.needsUpdate = true;
             }
-            
-            // Set new hovered model
-            currentHoveredModel = model;
-            
-            // Ensure the model has a name in userData
-            if (!currentHoveredModel.userData.name) {
-                currentHoveredModel.userData.name = model.name || '';
+            const original = material.userData.inspectFade;
+            material.opacity = original.opacity * opacity;
+            if (opacity === 1) {
+                material.transparent = original.transparent;
+                material.needsUpdate = true;
+                delete material.userData.inspectFade;
             }
-            
-            // Change cursor to black pointer
-            document.body.classList.add('pointer-cursor');
-            
-            // Animate hover effect
-            const hoverScale = model.userData.originalScale * 1.1;
-            gsap.to(model.scale, {
-                x: hoverScale,
-                y: hoverScale,
-                z: hoverScale,
-                duration: 0.3,
-                ease: 'power2.out'
-            });
-            
-        } else if (!model && currentHoveredModel) {
-            // No model is being hovered, reset current hovered model
-            gsap.to(currentHoveredModel.scale, {
-                x: currentHoveredModel.userData.originalScale,
-                y: currentHoveredModel.userData.originalScale,
-                z: currentHoveredModel.userData.originalScale,
-                duration: 0.3,
-                ease: 'power2.out'
-            });
-            currentHoveredModel = null;
-            document.body.classList.remove('pointer-cursor');
-        }
-    } else if (currentHoveredModel) {
-        // No intersections, reset current hovered model
-        gsap.to(currentHoveredModel.scale, {
-            x: currentHoveredModel.userData.originalScale,
-            y: currentHoveredModel.userData.originalScale,
-            z: currentHoveredModel.userData.originalScale,
-            duration: 0.3,
-            ease: 'power2.out'
         });
-        currentHoveredModel = null;
-        document.body.classList.remove('pointer-cursor');
+    });
+    if (group.userData.contactShadow) {
+        group.userData.contactShadow.userData.fade = opacity;
+        applyContactShadowOpacity();
     }
 }
 
-// Handle model clicks
-function onModelClick() {
-    if (currentHoveredModel) {
-        // Get the model name and map it to the corresponding page
-        const modelPages = {
-            'rockbody': 'LI1-new',
-            'shin': 'Shinkansen-new',
-            'kidsynth': 'Kid-Synth-new'
-        };
-        
-        // Get the model name from the model's userData or parent group
-        const modelName = currentHoveredModel.userData.name || 
-                         (currentHoveredModel.children[0]?.name || '').toLowerCase();
-        const pageName = modelPages[modelName] || 'index';
+function showHotspots(model) {
+    activeHotspots = model.userData.hotspots.map(({ anchor, label }) => {
+        const element = document.createElement('div');
+        element.className = 'inspect-hotspot';
+        element.textContent = label;
+        hotspotLayer.appendChild(element);
+        return { anchor, element };
+    });
+}
+
+function hideHotspots() {
+    activeHotspots = [];
+    hotspotLayer.replaceChildren();
+}
+
+// Place each label over its point and dim the ones the model hides
+function updateHotspots() {
+    if (activeHotspots.length === 0) return;
+    const { model, radius } = inspectState;
+    activeHotspots.forEach(({ anchor, element }) => {
+        anchor.getWorldPosition(hotspotPosition);
+        const distance = hotspotPosition.distanceTo(camera.position);
+        hotspotRaycaster.set(camera.position, hotspotPosition.clone().sub(camera.position).normalize());
+        const hit = hotspotRaycaster.intersectObject(model, true)[0];
+        element.classList.toggle('occluded', Boolean(hit) && hit.distance < distance - radius * 0.02);
         
-        // Navigate to the corresponding page
-        window.location.href = `${pageName}.html`;
+        hotspotPosition.project(camera);
+        if (hotspotPosition.z > 1) {
+            element.style.display = 'none';
+            return;
+        }
+        element.style.display = '';
+        const x = (hotspotPosition.x + 1) / 2 * window.innerWidth;
+        const y = (1 - hotspotPosition.y) / 2 * window.innerHeight;
+        element.style.transform = `translate(${x}px, ${y}px)`;
+    });
+}
+
+interaction.addEventListener('inspect', ({ item: model }) => {
+    // Inspect takes over from keyboard focus
+    if (cameraFocusTween) {
+        cameraFocusTween.kill();
+        cameraFocusTween = null;
+    }
+    focusedIndex = -1;
+    
+    const sphere = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+    const others = objects.filter((group) => group !== model);
+    inspectState = {
+        model,
+        others,
+        radius: sphere.radius,
+        fade: { opacity: 1 },
+        position: camera.position.clone(),
+        target: controls.target.clone(),
+        minDistance: controls.minDistance,
+        maxDistance: controls.maxDistance
+    };
+    autoRotate.hold('inspect');
+    
+    // Keep the height so the model stays above the ground; the carousel itself is never moved
+    const center = new THREE.Vector3(0, sphere.center.y, 0);
+    const destination = model.position.clone().add(center.clone().sub(sphere.center));
+    const direction = camera.position.clone().sub(controls.target).normalize();
+    const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+    const distance = (sphere.radius / Math.sin(halfFov)) * 1.3;
+    const view = { position: center.clone().add(direction.multiplyScalar(distance)), target: center };
+    
+    // The near limit applies straight away so the controls don't hold the camera back;
+    // the far one once it has arrived
+    controls.minDistance = sphere.radius * 1.2;
+    const state = inspectState;
+    const fadeOthers = () => others.forEach((group) => setGroupOpacity(group, state.fade.opacity));
+    const finish = () => {
+        inspectTimeline = null;
+        others.forEach((group) => {
+            group.visible = false;
+        });
+        controls.maxDistance = distance * 2.5;
+        showHotspots(model);
+        requestRender();
+    };
+    
+    const title = model.userData.project?.title || model.userData.name;
+    carouselAnnouncer.textContent = `Inspecting ${title}. Drag to rotate, scroll to zoom, Escape to return.`;
+    
+    if (reducedMotionQuery.matches) {
+        model.position.copy(destination);
+        camera.position.copy(view.position);
+        controls.target.copy(view.target);
+        camera.lookAt(controls.target);
+        state.fade.opacity = 0;
+        fadeOthers();
+        finish();
+        return;
+    }
+    inspectTimeline = moveCamera(view, { duration: INSPECT_DURATION, onComplete: finish })
+        .to(model.position, { x: destination.x, y: destination.y, z: destination.z }, 0)
+        .to(state.fade, { opacity: 0, onUpdate: fadeOthers }, 0);
+});
+
+// Put the inspected model back in its slot and the camera where it was
+function exitInspect({ animate = !reducedMotionQuery.matches } = {}) {
+    if (!inspectState) return;
+    const state = inspectState;
+    const { model, others } = state;
+    inspectState = null;
+    
+    if (inspectTimeline) inspectTimeline.kill();
+    inspectTimeline = null;
+    hideHotspots();
+    others.forEach((group) => {
+        group.visible = true;
+    });
+    controls.maxDistance = state.maxDistance;
+    
+    const { originalPosition: position, originalRotation: rotation } = model.userData;
+    const finish = () => {
+        inspectTimeline = null;
+        others.forEach((group) => setGroupOpacity(group, 1));
+        controls.minDistance = state.minDistance;
+        autoRotate.release('inspect');
+        // Picks up any resize that happened while inspecting
+        updateCameraFraming();
+        // Focus would otherwise be left on the hidden button
+        if (document.activeElement === inspectButton) {
+            renderer.domElement.focus({ preventScroll: true });
+        }
+        interaction.endInspect();
+        requestRender();
+    };
+    
+    if (!animate) {
+        model.position.set(position.x, position.y, position.z);
+        model.rotation.set(rotation.x, rotation.y, rotation.z);
+        camera.position.copy(state.position);
+        controls.target.copy(state.target);
+        camera.lookAt(controls.target);
+        finish();
+        return;
     }
+    inspectTimeline = moveCamera(state, { duration: INSPECT_DURATION, onComplete: finish })
+        .to(model.position, { x: position.x, y: position.y, z: position.z }, 0)
+        .to(model.rotation, { x: rotation.x, y: rotation.y, z: rotation.z }, 0)
+        .to(state.fade, {
+            opacity: 1,
+            onUpdate: () => others.forEach((group) => setGroupOpacity(group, state.fade.opacity))
+        }, 0);
 }
 
-// Mouse click handler
-let clickCount = 0;
-let clickTimer = null;
+window.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && inspectState) exitInspect();
+});
 
-function onMouseClick(event) {
-    // Prevent default to avoid any native double-click behavior
-    event.preventDefault();
+// Keyboard and screen-reader navigation
+// Arrow keys move focus between carousel groups, Enter opens the focused project
+const carouselAnnouncer = document.createElement('div');
+carouselAnnouncer.className = 'sr-only';
+carouselAnnouncer.setAttribute('aria-live', 'polite');
+carouselAnnouncer.setAttribute('aria-atomic', 'true');
+document.body.appendChild(carouselAnnouncer);
+
+renderer.domElement.tabIndex = 0;
+renderer.domElement.setAttribute('role', 'application');
+renderer.domElement.setAttribute('aria-roledescription', 'project carousel');
+renderer.domElement.setAttribute(
+    'aria-label',
+    'Project carousel. Use the arrow keys to browse projects, Enter to open one and I to inspect it in 3D.'
+);
+
+let focusedIndex = -1;
+let cameraFocusTween = null;
+
+// Azimuth (radians) that puts a group between the camera and the target
+function getModelAzimuth(model) {
+    const modelPosition = new THREE.Vector3();
+    model.getWorldPosition(modelPosition);
+    return Math.atan2(
+        modelPosition.x - controls.target.x,
+        modelPosition.z - controls.target.z
+    );
+}
+
+// Orbit the camera around the target to an azimuth and, optionally, a distance
+function orbitCameraTo(theta, radius, { animate = true } = {}) {
+    const offset = camera.position.clone().sub(controls.target);
+    const spherical = new THREE.Spherical().setFromVector3(offset);
     
-    // Clear any existing timer
-    if (clickTimer) {
-        clearTimeout(clickTimer);
+    // Take the short way around
+    let delta = theta - spherical.theta;
+    delta = Math.atan2(Math.sin(delta), Math.cos(delta));
+    
+    const state = { theta: spherical.theta, radius: spherical.radius };
+    const target = { theta: spherical.theta + delta, radius: radius ?? spherical.radius };
+    const apply = () => {
+        spherical.theta = state.theta;
+        spherical.radius = state.radius;
+        camera.position.setFromSpherical(spherical).add(controls.target);
+        camera.lookAt(controls.target);
+    };
+    
+    if (cameraFocusTween) {
+        cameraFocusTween.kill();
+        cameraFocusTween = null;
+    }
+    if (!animate || reducedMotionQuery.matches) {
+        Object.assign(state, target);
+        apply();
+        requestRender();
+        return;
     }
+    cameraFocusTween = gsap.to(state, {
+        ...target,
+        duration: 0.8,
+        ease: 'power2.inOut',
+        onUpdate: apply,
+        onComplete: () => {
+            cameraFocusTween = null;
+        }
+    });
+}
+
+// Orbit the camera around the target so the given group faces the viewer
+function rotateCameraToModel(model) {
+    orbitCameraTo(getModelAzimuth(model));
+}
+
+function focusModel(index, { rotate = true } = {}) {
+    if (objects.length === 0) return;
     
-    // Increment click count
-    clickCount++;
+    focusedIndex = (index + objects.length) % objects.length;
+    const model = objects[focusedIndex];
     
-    // If this is the first click, set a timer
-    if (clickCount === 1) {
-        clickTimer = setTimeout(() => {
-            // Single click action (if any) would go here
-            clickCount = 0;
-            clickTimer = null;
-        }, 300); // 300ms delay to detect double-click
+    // Selecting also holds auto-rotate, so the project stays in view
+    interaction.select(model);
+    if (rotate) rotateCameraToModel(model);
+    
+    const title = model.userData.project?.title || model.userData.name;
+    carouselAnnouncer.textContent =
+        `${title}, project ${focusedIndex + 1} of ${objects.length}. Press Enter to open or I to inspect.`;
+}
+
+function clearModelFocus() {
+    // Focus moving into the detail panel shouldn't undo the open project
+    if (interaction.state === 'open') return;
+    focusedIndex = -1;
+    if (cameraFocusTween) {
+        cameraFocusTween.kill();
+        cameraFocusTween = null;
+    }
+    interaction.select(null);
+}
+
+function onCarouselKeyDown(event) {
+    setInputType('keyboard');
+    // Inspect mode only listens for Escape (handled on window)
+    if (interaction.state === 'inspect') return;
+    switch (event.key) {
+        case 'ArrowRight':
+        case 'ArrowDown':
+            event.preventDefault();
+            focusModel(focusedIndex + 1);
+            break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+            event.preventDefault();
+            focusModel(focusedIndex < 0 ? objects.length - 1 : focusedIndex - 1);
+            break;
+        case 'Home':
+            event.preventDefault();
+            focusModel(0);
+            break;
+        case 'End':
+            event.preventDefault();
+            focusModel(objects.length - 1);
+            break;
+        case 'Enter':
+        case ' ':
+            if (focusedIndex >= 0) {
+                event.preventDefault();
+                interaction.open(interaction.selected);
+            }
+            break;
+        case 'i':
+        case 'I':
+            if (focusedIndex >= 0) {
+                event.preventDefault();
+                interaction.inspect(interaction.selected);
+            }
+            break;
+        case 'Escape':
+            clearModelFocus();
+            carouselAnnouncer.textContent = '';
+            break;
+    }
+}
+
+renderer.domElement.addEventListener('keydown', onCarouselKeyDown);
+renderer.domElement.addEventListener('focus', () => {
+    if (objects.length > 0) {
+        carouselAnnouncer.textContent =
+            `${objects.length} projects. Use the arrow keys to browse and Enter to open.`;
+    }
+});
+renderer.domElement.addEventListener('blur', (event) => {
+    // Moving to the inspect button keeps the selection it acts on
+    if (event.relatedTarget === inspectButton) return;
+    clearModelFocus();
+});
+
+// Mouse flow: the controller opens on a double-click on the same model
+function onMouseClick(event) {
+    // Prevent default to avoid any native double-click behavior
+    event.preventDefault();
+    updatePointerPosition(event);
+    interaction.click(pickModel());
+}
+
+// Keep descText in step with the input in use
+function updateInputHint() {
+    const selected = interaction.selected;
+    if (interaction.state === 'inspect') {
+        descText.textContent = INSPECT_HINT;
+    } else if (activeInputType === 'touch' && selected) {
+        const title = selected.userData.project?.title || selected.userData.name;
+        descText.textContent = `${title} • Tap again to open`;
     } else {
-        // This is a double-click
-        clearTimeout(clickTimer);
-        clickCount = 0;
-        clickTimer = null;
-        
-        // Only navigate if we have a hovered model
-        if (currentHoveredModel) {
-            onModelClick();
-        }
+        descText.textContent = INPUT_HINTS[activeInputType];
     }
 }
 
-// Mouse move handler
-function onMouseMove(event) {
+function setInputType(type) {
+    if (type === activeInputType) return;
+    activeInputType = type;
+    updateInputHint();
+}
+
+// Pointer input
+// Taps are told apart from drags by distance and duration, so OrbitControls
+// keeps handling rotate and zoom on every input type
+const TAP_MAX_MOVEMENT = 10; // px
+const TAP_MAX_DURATION = 500; // ms
+let pointerDownState = null;
+
+function updatePointerPosition(event) {
     // Update mouse position in normalized device coordinates
     mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
     mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+}
+
+// Touch flow: first tap selects and shows the title, second tap opens
+function onTap(event) {
+    updatePointerPosition(event);
+    interaction.tap(pickModel());
+}
+
+['select', 'deselect', 'inspect', 'inspectend'].forEach((type) => {
+    interaction.addEventListener(type, updateInputHint);
+});
+
+function onPointerMove(event) {
+    // Touch has no hover state
+    if (event.pointerType === 'touch') return;
+    setInputType('mouse');
+    updatePointerPosition(event);
     
     // Call handleHover directly on every move for better responsiveness
     handleHover();
 }
 
+function onPointerDown(event) {
+    setInputType(event.pointerType === 'touch' ? 'touch' : 'mouse');
+    
+    // A second finger means pinch, not a tap
+    if (!event.isPrimary) {
+        pointerDownState = null;
+        return;
+    }
+    pointerDownState = {
+        id: event.pointerId,
+        x: event.clientX,
+        y: event.clientY,
+        time: performance.now()
+    };
+}
+
+function onPointerUp(event) {
+    if (!pointerDownState || pointerDownState.id !== event.pointerId) return;
+    // Clicks on the debug gizmo are edits, not selections
+    if (debugPanel?.usingGizmo) {
+        pointerDownState = null;
+        return;
+    }
+    
+    const moved = Math.hypot(event.clientX - pointerDownState.x, event.clientY - pointerDownState.y);
+    const elapsed = performance.now() - pointerDownState.time;
+    pointerDownState = null;
+    
+    // Drags and long presses belong to OrbitControls
+    if (moved > TAP_MAX_MOVEMENT || elapsed > TAP_MAX_DURATION) return;
+    
+    if (event.pointerType === 'touch') {
+        onTap(event);
+    } else {
+        onMouseClick(event);
+    }
+}
+
 // Add event listeners
-window.addEventListener('mousemove', onMouseMove, false);
-// Use 'click' instead of 'dblclick' to have better control over the timing
-window.addEventListener('click', onMouseClick, false);
+window.addEventListener('pointermove', onPointerMove, false);
+renderer.domElement.addEventListener('pointerdown', onPointerDown, false);
+renderer.domElement.addEventListener('pointerup', onPointerUp, false);
+renderer.domElement.addEventListener('pointercancel', () => {
+    pointerDownState = null;
+}, false);
 
 // Reset hover state when mouse leaves the window
-window.addEventListener('mouseout', (event) => {
+window.addEventListener('pointerout', (event) => {
+    // A lifted finger also fires pointerout; keep the tap selection
+    if (event.pointerType === 'touch') return;
     if (!event.relatedTarget || (event.relatedTarget === document.documentElement)) {
         mouse.set(-2, 2); // Move off-screen
-        // Reset the currently hovered model if any
-        if (currentHoveredModel) {
-            const originalScale = currentHoveredModel.userData.originalScale || MODEL_SCALE;
-            gsap.to(currentHoveredModel.scale, {
-                x: originalScale,
-                y: originalScale,
-                z: originalScale,
-                duration: 0.3,
-                ease: 'power2.out',
-                onComplete: () => {
-                    currentHoveredModel = null;
-                }
-            });
-        }
+        interaction.hover(null);
     }
 });
 
-// Double-click handler with improved timing
-let lastClickTime = 0;
-const doubleClickThreshold = 300;
-
 // Handle window blur to reset hover state
 window.addEventListener('blur', () => {
-    if (hoveredObject && hoveredObject.children[0]) {
-        const model = hoveredObject.children[0];
-        const originalScale = model.userData.originalScale || MODEL_SCALE;
-        
-        gsap.to(model.scale, {
-            x: originalScale,
-            y: originalScale,
-            z: originalScale,
-            duration: 0.3
-        });
-        
-        hoveredObject = null;
-        isHovering = false;
-    }
-});
-
-window.addEventListener('click', (event) => {
-    const now = Date.now();
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(objects);
-
-    if (intersects.length > 0) {
-        if (now - lastClickTime < doubleClickThreshold) {
-            const newWindow = window.open('', '_blank');
-            if (newWindow) {
-                newWindow.document.body.style.background = 'white';
-                newWindow.document.title = 'Three.js Carousel - New Window';
-            }
-        }
-        lastClickTime = now;
-    }
+    interaction.hover(null);
 });
 
 // Animation loop with performance monitoring
 const clock = new THREE.Clock();
 let deltaTime = 0;
 
-// Function to update lighting based on camera position
-function updateLighting() {
-    // Get camera direction vector
-    const cameraDirection = new THREE.Vector3();
-    camera.getWorldDirection(cameraDirection);
+// Apply a quality tier to the renderer and the shadows
+function applyQualityTier(tier) {
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.maxPixelRatio));
+    postProcessing.setSize(window.innerWidth, window.innerHeight);
+    postProcessing.setEffects(getEnabledEffects(tier, requestedEffects));
+    applyShadowMode(tier);
+    if (shadowLight.shadow.mapSize.width !== tier.shadowMapSize) {
+        shadowLight.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+        // The shadow map is reallocated at the new size on the next render
+        if (shadowLight.shadow.map) {
+            shadowLight.shadow.map.dispose();
+            shadowLight.shadow.map = null;
+        }
+        fitShadowsToCarousel();
+    }
+    try {
+        localStorage.setItem(QUALITY_TIER_KEY, tier.name);
+    } catch (error) {
+        // Storage can be unavailable; the tier still applies for this visit
+    }
+    requestRender();
+}
+
+// Debug panel: render stats, plus live editing of each group's transform
+// that can be exported back into projects.json
+let debugPanel = null;
+
+const roundTo = (value, places = 3) => Number(value.toFixed(places)) || 0;
+const toPlainVector = ({ x, y, z }) => ({ x: roundTo(x), y: roundTo(y), z: roundTo(z) });
+
+// The manifest as currently placed; exported as a manual layout so the
+// positions are used exactly as edited
+function getEditedManifest() {
+    return {
+        layout: { ...manifestLayout, mode: 'manual' },
+        projects: projectList.map((project) => {
+            const group = objects.find((object) => object.userData.project === project);
+            if (!group) return project;
+            // Manual layouts leave the group unrotated, so the group's
+            // rotation folds into the model's own
+            const model = group.userData.model;
+            const rotation = new THREE.Euler().setFromQuaternion(
+                group.quaternion.clone().multiply(model ? model.quaternion : new THREE.Quaternion())
+            );
+            return {
+                ...project,
+                position: toPlainVector(group.position),
+                rotation: toPlainVector(rotation),
+                scale: roundTo((project.scale || 1) * group.userData.originalScale)
+            };
+        })
+    };
+}
+
+if (DEBUG) {
+    import('./debug.js')
+        .then(({ createDebugPanel }) => {
+            debugPanel = createDebugPanel({
+                renderer,
+                camera,
+                scene,
+                onEdit(group) {
+                    // Hover and reset tweens return to these
+                    group.userData.originalPosition = toPlainVector(group.position);
+                    group.userData.originalRotation = toPlainVector(group.rotation);
+                    group.userData.originalScale = group.scale.x;
+                    fitShadowsToCarousel();
+                    requestRender();
+                },
+                onDragChange(dragging) {
+                    controls.enabled = !dragging;
+                    if (dragging) {
+                        autoRotate.hold('debug');
+                    } else {
+                        autoRotate.release('debug');
+                    }
+                },
+                exportConfig: getEditedManifest
+            });
+            debugPanel.setGroups(objects);
+            requestRender();
+        })
+        .catch((error) => {
+            console.error('Could not load the debug panel:', error.message);
+        });
+}
+
+// Render on demand: frames are skipped while nothing in the scene is changing
+let needsRender = true;
+let wasIdle = false;
+let animationFrameId = null;
+
+function requestRender() {
+    needsRender = true;
+}
+
+// Advance every item's clips; true while any of them is moving
+function updateAnimations(delta) {
+    let animating = false;
+    objects.forEach((group) => {
+        if (group.userData.animator?.update(delta)) animating = true;
+    });
+    return animating;
+}
+
+const hasActiveTweens = () => gsap.globalTimeline.getChildren(true, true, true).some((child) => child.isActive());
+
+function animate(time = performance.now()) {
+    animationFrameId = requestAnimationFrame(animate);
     
-    // Key light - positioned to the side of the camera direction
-    const keyLightOffset = new THREE.Vector3(-cameraDirection.z, 0.3, cameraDirection.x).normalize();
-    keyLight.position.copy(camera.position)
-        .add(keyLightOffset.multiplyScalar(3))
-        .add(new THREE.Vector3(0, 2, 0)); // Slightly elevated
+    deltaTime = clock.getDelta();
     
-    // Fill light - softer light from the opposite side
-    const fillLightOffset = new THREE.Vector3(cameraDirection.z, 0.2, -cameraDirection.x).normalize();
-    fillLight.position.copy(camera.position)
-        .add(fillLightOffset.multiplyScalar(4))
-        .add(new THREE.Vector3(0, 1, 0));
+    // Auto-rotate eases in and out, so its speed is set every frame
+    const rotateSpeed = autoRotate.getSpeed(time);
+    controls.autoRotate = rotateSpeed !== 0;
+    controls.autoRotateSpeed = rotateSpeed;
     
-    // Rim light - positioned behind the models
-    rimLight.position.copy(camera.position)
-        .add(cameraDirection.multiplyScalar(-4))
-        .add(new THREE.Vector3(0, 2, 0));
+    // Update controls (this maintains momentum)
+    const cameraMoved = controls.update();
+    const animating = updateAnimations(deltaTime);
     
-    // Make all lights look at the center of the scene
-    keyLight.lookAt(0, 0, 0);
-    fillLight.lookAt(0, 0, 0);
-    rimLight.lookAt(0, 0, 0);
-}
-
-function animate() {
-    requestAnimationFrame(animate);
+    const idle = !cameraMoved && !animating && !needsRender && !hasActiveTweens();
+    debugPanel?.update(time, [
+        `quality: ${qualityGovernor.tier.name}${idle ? ' (idle)' : ''}`,
+        `fps: ${qualityGovernor.fps ? qualityGovernor.fps.toFixed(0) : '-'}`,
+        `pixel ratio: ${renderer.getPixelRatio().toFixed(2)}`,
+        `shadows: ${shadowLight.castShadow ? shadowLight.shadow.mapSize.width : 'contact'}`,
+        `antialias: ${renderer.getContextAttributes()?.antialias ? 'on' : 'off'}`,
+        `effects: ${postProcessing.effects.join(', ') || 'off'}`
+    ]);
+    if (idle) {
+        wasIdle = true;
+        return;
+    }
     
-    deltaTime = clock.getDelta();
+    // The first frame after idling spans the whole pause, so don't measure it
+    if (wasIdle) {
+        wasIdle = false;
+        qualityGovernor.reset();
+    } else {
+        const tier = qualityGovernor.sample(deltaTime);
+        if (tier) applyQualityTier(tier);
+    }
+    needsRender = false;
     
-    // Update raycaster
-    raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(objects, false);
+    // Update lighting based on camera position
+    updateLighting(LIGHT_RIG, camera);
+    renderer.info.reset();
+    postProcessing.render(deltaTime);
+    
+    // Keep the info card on its model as the carousel turns
+    updateProjectCard();
+    if (inspectState) updateHotspots();
+}
 
-    // Handle hover effects
-    if (intersects.length > 0) {
-        if (hoveredObject && hoveredObject !== intersects[0].object) {
-            hoveredObject.scale.set(1, 1, 1);
-        }
-        hoveredObject = intersects[0].object;
-        hoveredObject.scale.set(1.08, 1.08, 1.08);
-    } else {
-        if (hoveredObject) {
-            hoveredObject.scale.set(1, 1, 1);
-            hoveredObject = null;
+// Start animation
+animate();
+
+// Stop rendering while the tab is hidden
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+        if (animationFrameId !== null) {
+            cancelAnimationFrame(animationFrameId);
+            animationFrameId = null;
         }
+        return;
+    }
+    if (animationFrameId === null && !contextLost) {
+        // Discard the time spent hidden
+        clock.getDelta();
+        qualityGovernor.reset();
+        requestRender();
+        animate();
     }
+});
 
-    // Update lighting based on camera position
-    updateLighting();
+// WebGL context loss
+// The browser can drop the context (GPU reset, driver update, too many tabs).
+// Rendering pauses until it comes back; if it doesn't, the static gallery takes over.
+const CONTEXT_RESTORE_TIMEOUT = 5000; // ms
+let contextLost = false;
+let contextRestoreTimer = null;
+
+renderer.domElement.addEventListener('webglcontextlost', (event) => {
+    // Without this the browser won't try to restore the context
+    event.preventDefault();
+    contextLost = true;
+    if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+    showLoadNotice('The 3D view stopped responding. Trying to bring it back…');
+    contextRestoreTimer = setTimeout(() => {
+        loadNotice.classList.remove('visible');
+        showFallbackGallery({ projects: projectList.length > 0 ? projectList : undefined });
+    }, CONTEXT_RESTORE_TIMEOUT);
+});
+
+renderer.domElement.addEventListener('webglcontextrestored', () => {
+    clearTimeout(contextRestoreTimer);
+    // Too late once the gallery has replaced the carousel
+    if (document.body.classList.contains('no-webgl')) return;
+    contextLost = false;
+    loadNotice.classList.remove('visible');
     
-    // Update controls (this maintains momentum)
-    controls.update();
-    renderer.render(scene, camera);
+    // three.js re-uploads geometry and textures itself, but the environment maps
+    // were rendered on the GPU and have to be generated again
+    clearEnvironmentCache();
+    scene.environment = null;
+    const preset = activeLightingPreset;
+    activeLightingPreset = null;
+    applyLightingPreset(preset, { animate: false });
+    
+    clock.getDelta();
+    qualityGovernor.reset();
+    requestRender();
+    if (!document.hidden) animate();
+});
 
-    if (DEBUG) {
-        console.log('FPS:', 1 / deltaTime);
+// Responsive framing
+// The FOV, camera distance and zoom limits follow the viewport so the whole
+// carousel stays in view between the title and the hints
+let carouselRadius = null; // around the orbit target, measured when the carousel is built
+let carouselFraming = null;
+
+// Stack the title's words when it would run into the contact button
+function updateTitleLayout() {
+    titleText.classList.remove('stacked');
+    const contactButton = document.querySelector('.contact-button');
+    const limit = (contactButton ? contactButton.getBoundingClientRect().left : window.innerWidth) - 16;
+    if (titleText.getBoundingClientRect().right > limit) {
+        titleText.classList.add('stacked');
     }
 }
 
-// Start animation
-animate();
+// fit: move the camera to the fitted distance; otherwise the current zoom is
+// scaled along with the framing
+function updateCameraFraming({ fit = false } = {}) {
+    updateTitleLayout();
+    if (carouselRadius === null) {
+        camera.updateProjectionMatrix();
+        return;
+    }
+    
+    const width = window.innerWidth;
+    const height = window.innerHeight;
+    const previous = carouselFraming;
+    carouselFraming = getCarouselFraming({
+        radius: carouselRadius,
+        aspect: width / height,
+        insetTop: titleText.getBoundingClientRect().bottom / height,
+        insetBottom: (height - descText.getBoundingClientRect().top) / height
+    });
+    camera.fov = carouselFraming.fov;
+    camera.setViewOffset(width, height, 0, -carouselFraming.viewOffset * height, width, height);
+    camera.updateProjectionMatrix();
+    
+    // Inspect mode and the detail panel frame a single model themselves
+    if (inspectState || detailModel || navigationTimeline) return;
+    
+    controls.minDistance = carouselFraming.minDistance;
+    controls.maxDistance = carouselFraming.maxDistance;
+    const current = camera.position.distanceTo(controls.target);
+    const distance = fit
+        ? carouselFraming.distance
+        : previous ? current * (carouselFraming.distance / previous.distance) : current;
+    camera.position.sub(controls.target)
+        .setLength(THREE.MathUtils.clamp(distance, controls.minDistance, controls.maxDistance))
+        .add(controls.target);
+    camera.lookAt(controls.target);
+    requestRender();
+}
+
+// Web fonts change the title's size once they arrive
+document.fonts?.ready.then(() => updateCameraFraming());
 
 // Improved resize handler
 window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
+    updateCameraFraming();
     renderer.setSize(window.innerWidth, window.innerHeight);
-    renderer.setPixelRatio(window.devicePixelRatio);
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, qualityGovernor.tier.maxPixelRatio));
+    postProcessing.setSize(window.innerWidth, window.innerHeight);
+    requestRender();
 });
 
 // Error handling
@@ -596,15 +1990,163 @@ window.addEventListener('error', (event) => {
     console.error('Three.js Error:', event.error);
 });
 
-if (DEBUG) {
-    console.log('Three.js Scene initialized');
-    console.log('Camera position:', camera.position);
-    console.log('Number of objects:', objects.length);
-}
-
 // Set initial camera position (180 degrees from original)
 camera.position.set(25, 30, -40);
 camera.lookAt(0, 0, 0);
 
 // Initial lighting setup
-updateLighting();
+const requestedLighting = new URLSearchParams(window.location.search).get('lighting');
+applyLightingPreset(
+    LIGHTING_PRESETS[requestedLighting] ? requestedLighting : DEFAULT_LIGHTING_PRESET,
+    { animate: false }
+);
+updateLighting(LIGHT_RIG, camera);
+
+// Deep links
+// The focused project, camera angle and zoom live in the URL hash. Focusing or
+// opening a project pushes a history entry so back/forward step through them;
+// camera moves only replace the current entry.
+const FOCUS_HISTORY_DELAY = 600; // ms; focus changes closer together than this (arrow keys) share an entry
+let applyingHashState = false;
+let lastFocusChange = -Infinity;
+let hashStateOptions = null; // options of the deep link being applied, read by openProject
+let pendingHashState = null;
+
+// Read from the camera itself; the controls only refresh their angle on update()
+const getCameraAzimuth = () => Math.atan2(
+    camera.position.x - controls.target.x,
+    camera.position.z - controls.target.z
+);
+
+function writeHashState({
+    push = false,
+    angle = THREE.MathUtils.radToDeg(getCameraAzimuth()),
+    project = interaction.selected?.userData.name,
+    view
+} = {}) {
+    // Inspect mode leaves the link as it was
+    if (applyingHashState || interaction.state === 'inspect') return;
+    const hash = formatHashState(view
+        ? { project, view }
+        : { project, angle, distance: controls.getDistance() });
+    if (hash === window.location.hash) return;
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (push) {
+        history.pushState(history.state, '', url);
+    } else {
+        history.replaceState(history.state, '', url);
+    }
+}
+
+function applyHashState(state, { animate = true } = {}) {
+    // The project part waits for the carousel; the camera can move right away
+    if (state.project && objects.length === 0) {
+        pendingHashState = state;
+    }
+    
+    applyingHashState = true;
+    exitInspect({ animate: false });
+    const index = state.project ? objects.findIndex((group) => group.userData.name === state.project) : -1;
+    const model = index === -1 ? null : objects[index];
+    
+    // Detail view: open, switch or close the panel; the camera follows the panel
+    if (state.view === 'detail' && model) {
+        if (detailModel && detailModel !== model) {
+            swapProjectDetail(model);
+        } else if (!detailModel) {
+            hashStateOptions = { animate };
+            interaction.open(model);
+            hashStateOptions = null;
+        }
+        applyingHashState = false;
+        return;
+    }
+    if (detailModel) {
+        closeProjectDetail({ updateHistory: false });
+        applyingHashState = false;
+        return;
+    }
+    
+    if (model) {
+        focusModel(index, { rotate: false });
+    } else if (objects.length > 0) {
+        clearModelFocus();
+    }
+    
+    const theta = state.angle !== undefined
+        ? THREE.MathUtils.degToRad(state.angle)
+        : model ? getModelAzimuth(model) : undefined;
+    const radius = state.distance !== undefined
+        ? THREE.MathUtils.clamp(state.distance, controls.minDistance, controls.maxDistance)
+        : undefined;
+    if (theta !== undefined || radius !== undefined) {
+        orbitCameraTo(theta ?? getCameraAzimuth(), radius, { animate });
+    }
+    applyingHashState = false;
+}
+
+// Apply a deep link that arrived before the models did
+function applyPendingHashState() {
+    if (!pendingHashState) return;
+    const state = pendingHashState;
+    pendingHashState = null;
+    applyHashState(state, { animate: false });
+}
+
+interaction.addEventListener('select', ({ item }) => {
+    const time = performance.now();
+    const push = time - lastFocusChange > FOCUS_HISTORY_DELAY;
+    lastFocusChange = time;
+    writeHashState({ push, angle: THREE.MathUtils.radToDeg(getModelAzimuth(item)) });
+});
+interaction.addEventListener('deselect', () => writeHashState());
+interaction.addEventListener('inspectend', () => writeHashState());
+
+// Analytics: time spent inspecting each project
+let inspectStartTime = 0;
+interaction.addEventListener('inspect', () => {
+    inspectStartTime = performance.now();
+});
+interaction.addEventListener('inspectend', ({ previous }) => {
+    analytics.track('inspect-duration', {
+        project: previous.userData.name,
+        duration: Math.round(performance.now() - inspectStartTime)
+    });
+});
+controls.addEventListener('end', () => writeHashState());
+window.addEventListener('popstate', () => {
+    // Closing the panel stepped back to the view it is already returning to
+    if (closingDetailHistory) {
+        closingDetailHistory = false;
+        return;
+    }
+    applyHashState(parseHashState(window.location.hash));
+});
+
+// Coming back from a project page (Back, or its link to index.html with no deep
+// link): pick up the camera angle and rotation from before, otherwise start
+// from whatever the link asks for
+const navigationEntry = performance.getEntriesByType('navigation')[0];
+const initialHashState = parseHashState(window.location.hash);
+const restoredCamera = restoreCameraState({
+    apply: navigationEntry?.type === 'back_forward' || Object.keys(initialHashState).length === 0
+});
+if (!restoredCamera) {
+    applyHashState(initialHashState, { animate: false });
+}
+
+// Pages restored from the back/forward cache keep the flown-in camera, so undo it
+// (an open detail panel is left as it was)
+window.addEventListener('pageshow', (event) => {
+    if (!event.persisted || detailModel) return;
+    if (navigationTimeline) {
+        navigationTimeline.kill();
+        navigationTimeline = null;
+    }
+    controls.enabled = true;
+    textOverlay.style.opacity = '';
+    exitInspect({ animate: false });
+    interaction.reset();
+    autoRotate.release('detail');
+    restoreCameraState();
+});
@@ -0,0 +1,141 @@
+import * as THREE from 'three';
+
+// Per-project material overrides
+// Models keep the materials authored in their GLB unless the project's
+// "materials" rules in projects.json say otherwise. Rules run in order; each
+// one applies its "set" properties to every material whose mesh and material
+// names match (exact, or with * wildcards). A rule without "mesh" or
+// "material" applies to everything in the model.
+//
+//   "materials": [
+//     { "set": { "roughness": 0.5 } },
+//     { "mesh": "Knob*", "set": { "color": "#ff5a1f" } },
+//     { "material": "Body", "set": { "metalness": 0.2, "side": "double" } }
+//   ]
+
+const SIDES = {
+    front: THREE.FrontSide,
+    back: THREE.BackSide,
+    double: THREE.DoubleSide
+};
+
+// Overridable properties and how to check the value given in the manifest
+const PROPERTIES = {
+    color: 'color',
+    emissive: 'color',
+    emissiveIntensity: 'number',
+    roughness: 'unit',
+    metalness: 'unit',
+    opacity: 'unit',
+    transparent: 'boolean',
+    side: 'side',
+    clearcoat: 'unit',
+    clearcoatRoughness: 'unit',
+    wireframe: 'boolean',
+    flatShading: 'boolean'
+};
+
+const isColor = (value) => (Number.isInteger(value) && value >= 0 && value <= 0xffffff) ||
+    (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value));
+
+const CHECKS = {
+    color: [isColor, 'a "#rrggbb" string or 0xrrggbb number'],
+    number: [Number.isFinite, 'a number'],
+    unit: [(value) => Number.isFinite(value) && value >= 0 && value <= 1, 'a number from 0 to 1'],
+    boolean: [(value) => typeof value === 'boolean', 'true or false'],
+    side: [(value) => value in SIDES, `one of ${Object.keys(SIDES).join(', ')}`]
+};
+
+// Throws with a message naming the offending rule and property
+export const validateMaterialRules = (rules, label) => {
+    if (!Array.isArray(rules)) {
+        throw new Error(`${label}: "materials" must be an array of rules`);
+    }
+    rules.forEach((rule, index) => {
+        const ruleLabel = `${label}: materials[${index}]`;
+        if (typeof rule !== 'object' || rule === null) {
+            throw new Error(`${ruleLabel} must be an object`);
+        }
+        ['mesh', 'material'].forEach((field) => {
+            if (rule[field] !== undefined && (typeof rule[field] !== 'string' || rule[field] === '')) {
+                throw new Error(`${ruleLabel}: "${field}" must be a non-empty string`);
+            }
+        });
+        if (typeof rule.set !== 'object' || rule.set === null || Object.keys(rule.set).length === 0) {
+            throw new Error(`${ruleLabel}: "set" must list at least one property`);
+        }
+        Object.entries(rule.set).forEach(([property, value]) => {
+            const type = PROPERTIES[property];
+            if (!type) {
+                throw new Error(`${ruleLabel}: "${property}" can't be overridden ` +
+                    `(allowed: ${Object.keys(PROPERTIES).join(', ')})`);
+            }
+            const [check, description] = CHECKS[type];
+            if (!check(value)) {
+                throw new Error(`${ruleLabel}: "${property}" must be ${description}`);
+            }
+        });
+    });
+};
+
+const toPattern = (glob) => new RegExp(
+    `^${glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+);
+
+const matches = (pattern, name) => !pattern || pattern.test(name || '');
+
+const applyProperty = (material, property, value) => {
+    // Skip properties the material doesn't have (e.g. roughness on MeshBasicMaterial)
+    if (!(property in material)) return false;
+
+    const type = PROPERTIES[property];
+    if (type === 'color') {
+        if (!material[property]?.isColor) return false;
+        material[property].set(value);
+    } else if (type === 'side') {
+        material.side = SIDES[value];
+    } else {
+        material[property] = value;
+    }
+    if (property === 'transparent' || property === 'flatShading') {
+        material.needsUpdate = true;
+    }
+    return true;
+};
+
+// Apply a project's rules to a model
+// Matched materials are cloned first: clones of a GLB scene share materials,
+// and overrides must not leak into other instances or the template
+export const applyMaterialRules = (root, rules = []) => {
+    if (rules.length === 0) return;
+
+    const compiled = rules.map((rule) => ({
+        mesh: rule.mesh ? toPattern(rule.mesh) : null,
+        material: rule.material ? toPattern(rule.material) : null,
+        set: rule.set
+    }));
+
+    root.traverse((child) => {
+        if (!child.isMesh || !child.material) return;
+
+        const isArray = Array.isArray(child.material);
+        const materials = (isArray ? child.material : [child.material]).map((material) => {
+            const matching = compiled.filter((rule) =>
+                matches(rule.mesh, child.name) && matches(rule.material, material.name));
+            if (matching.length === 0) return material;
+
+            const copy = material.clone();
+            matching.forEach((rule) => {
+                Object.entries(rule.set).forEach(([property, value]) => {
+                    if (!applyProperty(copy, property, value)) {
+                        console.warn(`Material "${material.name || material.type}" on mesh ` +
+                            `"${child.name}" has no "${property}" to override`);
+                    }
+                });
+            });
+            return copy;
+        });
+
+        child.material = isArray ? materials : materials[0];
+    });
+};
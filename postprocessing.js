@@ -0,0 +1,122 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { GTAOPass } from 'three/addons/postprocessing/GTAOPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+
+// Post-processing pipeline
+// An EffectComposer with one pass per effect in effects.js, switched on and
+// off as the quality tier changes. Tone mapping and colour space conversion
+// move to the OutputPass, so the picture matches a plain render. With no
+// effects enabled, or if the pipeline can't be built, render() falls back to
+// rendering the scene straight to the canvas.
+
+export function createPostProcessing({ renderer, scene, camera }) {
+    let composer = null;
+    let passes = null;
+    let enabled = [];
+
+    try {
+        const size = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        // Half float keeps highlights above 1 for bloom and the alpha channel
+        // for the transparent canvas; multisample when the context would have
+        const target = new THREE.WebGLRenderTarget(size.x * pixelRatio, size.y * pixelRatio, {
+            type: THREE.HalfFloatType,
+            samples: renderer.getContextAttributes()?.antialias ? 4 : 0
+        });
+        composer = new EffectComposer(renderer, target);
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(size.x, size.y);
+
+        const outline = new OutlinePass(size.clone(), scene, camera);
+        outline.edgeStrength = 3;
+        outline.edgeThickness = 1;
+        outline.edgeGlow = 0;
+        // The default additive overlay can only lighten, which vanishes on a
+        // white background; composite the edge over the scene instead. Its
+        // colour comes out premultiplied, with alpha scaled by edgeStrength,
+        // so alpha is capped at 1 to keep the blend from going negative
+        const overlay = outline.overlayMaterial;
+        overlay.blending = THREE.NormalBlending;
+        overlay.premultipliedAlpha = true;
+        overlay.fragmentShader = overlay.fragmentShader.replace(
+            'gl_FragColor = finalColor;',
+            'gl_FragColor = finalColor / max(1.0, finalColor.a);'
+        );
+
+        const ao = new GTAOPass(scene, camera, size.x, size.y);
+        ao.updateGtaoMaterial({ radius: 2 });
+        ao.blendIntensity = 0.8;
+
+        // Only what's brighter than white glows, so the background doesn't
+        const bloom = new UnrealBloomPass(size.clone(), 0.4, 0.5, 1);
+
+        const fxaa = new ShaderPass(FXAAShader);
+
+        passes = { outline, ao, bloom, fxaa };
+        composer.addPass(new RenderPass(scene, camera));
+        // Passes run in this order; FXAA goes last so it smooths the final colours
+        composer.addPass(ao);
+        composer.addPass(outline);
+        composer.addPass(bloom);
+        composer.addPass(new OutputPass());
+        composer.addPass(fxaa);
+    } catch (error) {
+        console.warn('Post-processing is unavailable; rendering without effects:', error.message);
+        composer = null;
+        passes = null;
+    }
+
+    const updateFxaaResolution = () => {
+        if (!passes) return;
+        const size = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        passes.fxaa.material.uniforms.resolution.value.set(1 / (size.x * pixelRatio), 1 / (size.y * pixelRatio));
+    };
+    updateFxaaResolution();
+
+    return {
+        // Effects actually running; empty when rendering plainly
+        get effects() {
+            return enabled;
+        },
+
+        setEffects(effects) {
+            enabled = passes ? effects.filter((effect) => effect in passes) : [];
+            if (!passes) return;
+            Object.entries(passes).forEach(([effect, pass]) => {
+                pass.enabled = enabled.includes(effect);
+            });
+        },
+
+        // Items to outline, e.g. the hovered one
+        setOutlined(objects) {
+            if (passes) passes.outline.selectedObjects = objects;
+        },
+
+        setOutlineColor(color) {
+            if (passes) passes.outline.visibleEdgeColor.set(color);
+        },
+
+        // Call after resizing the renderer or changing its pixel ratio
+        setSize(width, height) {
+            if (!composer) return;
+            composer.setPixelRatio(renderer.getPixelRatio());
+            composer.setSize(width, height);
+            updateFxaaResolution();
+        },
+
+        render(delta) {
+            if (enabled.length > 0) {
+                composer.render(delta);
+            } else {
+                renderer.render(scene, camera);
+            }
+        }
+    };
+}
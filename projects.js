@@ -0,0 +1,138 @@
+import { validateMaterialRules } from './materials.js';
+import { validateAnimationConfig } from './animations.js';
+import { validateLayout } from './layout.js';
+import { validateAnalyticsConfig } from './analytics.js';
+
+// Project manifest (projects.json), one entry per project
+// Shared by the 3D carousel and the static gallery shown when WebGL isn't available
+
+export const PROJECTS_URL = './projects.json';
+
+// Check a single vector-like field ({ x, y, z }) from the manifest
+const validateVector = (value, field, label, required) => {
+    if (value === undefined) {
+        if (required) throw new Error(`${label}: missing "${field}"`);
+        return;
+    }
+    if (typeof value !== 'object' || value === null) {
+        throw new Error(`${label}: "${field}" must be an object with x, y and z`);
+    }
+    ['x', 'y', 'z'].forEach((axis) => {
+        if (!Number.isFinite(value[axis])) {
+            throw new Error(`${label}: "${field}.${axis}" must be a number`);
+        }
+    });
+};
+
+// Check one manifest entry; throws with a message naming the entry and field
+const validateProject = (project, index, { seen, positionRequired }) => {
+    const label = `projects.json entry ${index}${project?.id ? ` ("${project.id}")` : ''}`;
+    if (typeof project !== 'object' || project === null) {
+        throw new Error(`${label}: entry must be an object`);
+    }
+    ['id', 'title', 'model', 'page'].forEach((field) => {
+        if (typeof project[field] !== 'string' || project[field].trim() === '') {
+            throw new Error(`${label}: "${field}" must be a non-empty string`);
+        }
+    });
+    if (seen.has(project.id)) {
+        throw new Error(`${label}: duplicate id "${project.id}"`);
+    }
+    if (!/\.(glb|gltf)$/i.test(project.model)) {
+        throw new Error(`${label}: "model" must point to a .glb or .gltf file`);
+    }
+    if (project.preview !== undefined &&
+        (typeof project.preview !== 'string' || !/\.(glb|gltf)$/i.test(project.preview))) {
+        throw new Error(`${label}: "preview" must point to a .glb or .gltf file`);
+    }
+    ['thumbnail', 'summary'].forEach((field) => {
+        if (project[field] !== undefined && typeof project[field] !== 'string') {
+            throw new Error(`${label}: "${field}" must be a string`);
+        }
+    });
+    if (project.year !== undefined && !Number.isInteger(project.year) && typeof project.year !== 'string') {
+        throw new Error(`${label}: "year" must be a number or string`);
+    }
+    if (project.tags !== undefined &&
+        !(Array.isArray(project.tags) && project.tags.every((tag) => typeof tag === 'string'))) {
+        throw new Error(`${label}: "tags" must be an array of strings`);
+    }
+    if (project.scale !== undefined && !(Number.isFinite(project.scale) && project.scale > 0)) {
+        throw new Error(`${label}: "scale" must be a positive number`);
+    }
+    validateVector(project.position, 'position', label, positionRequired);
+    validateVector(project.rotation, 'rotation', label, false);
+    if (project.content !== undefined &&
+        (typeof project.content !== 'string' || !/\.json$/i.test(project.content))) {
+        throw new Error(`${label}: "content" must point to a .json file`);
+    }
+    if (project.materials !== undefined) {
+        validateMaterialRules(project.materials, label);
+    }
+    if (project.animations !== undefined) {
+        validateAnimationConfig(project.animations, label);
+    }
+    if (project.hotspots !== undefined) {
+        if (!Array.isArray(project.hotspots)) {
+            throw new Error(`${label}: "hotspots" must be an array`);
+        }
+        project.hotspots.forEach((hotspot, hotspotIndex) => {
+            const hotspotLabel = `${label}: hotspots[${hotspotIndex}]`;
+            if (typeof hotspot?.label !== 'string' || hotspot.label.trim() === '') {
+                throw new Error(`${hotspotLabel}: "label" must be a non-empty string`);
+            }
+            validateVector(hotspot.position, 'position', hotspotLabel, true);
+        });
+    }
+};
+
+// Validate the manifest and return its project list, layout and analytics settings
+// A malformed entry is passed to `onInvalid` (a console warning by default)
+// and left out, so one bad project doesn't take down the rest. Throws if the
+// manifest itself is malformed or no entry is usable.
+export const validateProjects = (manifest, { onInvalid = (error) => console.warn(error.message) } = {}) => {
+    const entries = Array.isArray(manifest) ? manifest : manifest?.projects;
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('projects.json: expected a non-empty "projects" array');
+    }
+    const layout = Array.isArray(manifest) ? undefined : manifest.layout;
+    if (layout !== undefined) validateLayout(layout);
+    const analytics = Array.isArray(manifest) ? undefined : manifest.analytics;
+    if (analytics !== undefined) validateAnalyticsConfig(analytics);
+    // Hand-placed layouts need every position; the others compute them
+    const positionRequired = layout?.mode === 'manual';
+
+    const seen = new Set();
+    const projects = entries.filter((project, index) => {
+        try {
+            validateProject(project, index, { seen, positionRequired });
+        } catch (error) {
+            onInvalid(error);
+            return false;
+        }
+        seen.add(project.id);
+        return true;
+    });
+    if (projects.length === 0) {
+        throw new Error('projects.json: no valid projects');
+    }
+
+    return { projects, layout: layout || {}, analytics: analytics || {} };
+};
+
+// Files a project entry points at, relative to the site root, so a deploy
+// check can make sure they all exist
+const ASSET_FIELDS = ['model', 'preview', 'thumbnail', 'page', 'content'];
+
+export const getProjectAssets = (project) => ASSET_FIELDS
+    .filter((field) => typeof project[field] === 'string')
+    .map((field) => ({ field, path: project[field] }));
+
+// Fetch and validate the project manifest
+export const loadProjects = async () => {
+    const response = await fetch(PROJECTS_URL);
+    if (!response.ok) {
+        throw new Error(`projects.json: request failed (${response.status})`);
+    }
+    return validateProjects(await response.json());
+};
@@ -0,0 +1,103 @@
+// Adaptive rendering quality
+// Watches frame times and steps through quality tiers to hold a target frame
+// rate. Pure logic: main.js applies the chosen tier to the renderer and lights.
+
+// Ordered from cheapest to most expensive
+// antialias is a WebGL context setting, so it only applies when the renderer
+// is created; the tier settled on in one visit decides it for the next.
+// effects are the post-processing passes (see effects.js); none means a
+// plain render
+export const QUALITY_TIERS = [
+    { name: 'low', maxPixelRatio: 1, shadowMapSize: 512, shadows: false, antialias: false, effects: [] },
+    {
+        name: 'medium',
+        maxPixelRatio: 1.5,
+        shadowMapSize: 1024,
+        shadows: true,
+        antialias: false,
+        effects: ['outline', 'fxaa']
+    },
+    {
+        name: 'high',
+        maxPixelRatio: 2,
+        shadowMapSize: 2048,
+        shadows: true,
+        antialias: true,
+        // Antialiased contexts give the pipeline multisampled buffers, so no FXAA
+        effects: ['outline', 'ao']
+    }
+];
+
+export function createQualityGovernor({
+    tiers = QUALITY_TIERS,
+    initialTier = tiers.length - 1,
+    targetFps = 60,
+    sampleSize = 60, // frames per measurement window
+    downgradeRatio = 0.85, // step down below this share of the target
+    upgradeRatio = 0.97, // windows at or above this share count toward stepping up
+    upgradeWindows = 5 // consecutive good windows needed to step up
+} = {}) {
+    let tierIndex = Math.min(Math.max(initialTier, 0), tiers.length - 1);
+    let frameCount = 0;
+    let elapsed = 0;
+    let goodWindows = 0;
+    let fps = 0;
+
+    const clearWindow = () => {
+        frameCount = 0;
+        elapsed = 0;
+    };
+
+    return {
+        get tier() {
+            return tiers[tierIndex];
+        },
+
+        get tierIndex() {
+            return tierIndex;
+        },
+
+        // Average frame rate over the last full window
+        get fps() {
+            return fps;
+        },
+
+        // Record one frame; returns the new tier when it changed, otherwise null
+        sample(deltaSeconds) {
+            if (!(deltaSeconds > 0)) return null;
+            frameCount++;
+            elapsed += deltaSeconds;
+            if (frameCount < sampleSize) return null;
+
+            fps = frameCount / elapsed;
+            clearWindow();
+
+            if (fps < targetFps * downgradeRatio) {
+                goodWindows = 0;
+                if (tierIndex > 0) {
+                    tierIndex--;
+                    return tiers[tierIndex];
+                }
+                return null;
+            }
+
+            if (fps >= targetFps * upgradeRatio) {
+                goodWindows++;
+                if (goodWindows >= upgradeWindows && tierIndex < tiers.length - 1) {
+                    goodWindows = 0;
+                    tierIndex++;
+                    return tiers[tierIndex];
+                }
+            } else {
+                goodWindows = 0;
+            }
+            return null;
+        },
+
+        // Drop the current window, e.g. after rendering was paused
+        reset() {
+            clearWindow();
+            goodWindows = 0;
+        }
+    };
+}
@@ -0,0 +1,17 @@
+// Project routing
+// Where opening a carousel item leads. Projects with structured content open
+// in the in-page detail panel; the rest (and any whose content fails to load)
+// go to their static page. Pure logic: main.js does the navigating.
+
+export const HOME_PAGE = 'index.html';
+
+// { view: 'detail' } or { view: 'page', href }
+export function getProjectRoute(project) {
+    if (project?.content) return { view: 'detail' };
+    return { view: 'page', href: getProjectPage(project) };
+}
+
+// The static page for a project, or the home page if it has none
+export function getProjectPage(project) {
+    return project?.page || HOME_PAGE;
+}
@@ -0,0 +1,87 @@
+import { readFile, readdir, access } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateProjects, getProjectAssets, PROJECTS_URL } from '../projects.js';
+import { validateProjectContent, getContentAssets } from '../detail.js';
+
+// Pre-deploy check
+// Finds references that would break on the live site: models, thumbnails,
+// pages and content files named in projects.json, the images in each content
+// file, and links between the site's pages. Run with `npm run check`; exits
+// non-zero and lists every problem found.
+
+// Links to other sites, mail and in-page anchors aren't ours to check
+const isExternal = (reference) => /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(reference);
+
+// Site-root-relative path of a reference, without any query or hash
+const toSitePath = (reference) => reference.replace(/[?#].*$/, '').replace(/^\.?\//, '');
+
+const LINK_PATTERN = /\shref="([^"]+)"/g;
+
+// Reads files through `site` so tests can check a site held in memory:
+//   { readText(path), exists(path), listPages() }
+// Returns a list of problems, each naming where the bad reference was found
+export async function checkSite(site) {
+    const problems = [];
+    const report = (source, message) => problems.push(`${source}: ${message}`);
+    const checkExists = async (source, reference) => {
+        if (isExternal(reference)) return;
+        if (!(await site.exists(toSitePath(reference)))) report(source, `"${reference}" does not exist`);
+    };
+
+    let projects = [];
+    try {
+        // Entries the carousel would skip are problems here
+        ({ projects } = validateProjects(JSON.parse(await site.readText(toSitePath(PROJECTS_URL))), {
+            onInvalid: (error) => problems.push(error.message)
+        }));
+    } catch (error) {
+        report('projects.json', error.message);
+    }
+
+    for (const project of projects) {
+        const source = `projects.json ("${project.id}")`;
+        for (const { field, path: reference } of getProjectAssets(project)) {
+            await checkExists(`${source} ${field}`, reference);
+        }
+        if (!project.content || !(await site.exists(toSitePath(project.content)))) continue;
+
+        try {
+            const content = JSON.parse(await site.readText(toSitePath(project.content)));
+            validateProjectContent(content, project.content);
+            for (const image of getContentAssets(content)) {
+                await checkExists(project.content, image);
+            }
+        } catch (error) {
+            report(project.content, error.message);
+        }
+    }
+
+    for (const page of await site.listPages()) {
+        const html = await site.readText(page);
+        for (const [, href] of html.matchAll(LINK_PATTERN)) {
+            await checkExists(page, href);
+        }
+    }
+
+    return problems;
+}
+
+// The site as it is on disk
+export const createFileSite = (root) => ({
+    readText: (file) => readFile(path.join(root, file), 'utf8'),
+    exists: (file) => access(path.join(root, file)).then(() => true, () => false),
+    listPages: async () => (await readdir(root)).filter((file) => file.endsWith('.html')).sort()
+});
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+    const problems = await checkSite(createFileSite(root));
+    problems.forEach((problem) => console.error(problem));
+    if (problems.length > 0) {
+        console.error(`\n${problems.length} broken reference${problems.length === 1 ? '' : 's'}`);
+        process.exitCode = 1;
+    } else {
+        console.log('All references resolve');
+    }
+}
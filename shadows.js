@@ -0,0 +1,69 @@
+// Shadow and ground fitting
+// Shadows come from a light fixed above the carousel, so they stay put while
+// the camera orbits; its orthographic shadow camera is fitted around the
+// carousel's bounding sphere, and the ground is sized and placed to match.
+// Pure logic: main.js measures the carousel and applies the results.
+
+// 'map': real shadow maps from the fixed light
+// 'contact': a soft blob baked under each model; cheap, so it also stands in
+// whenever the quality tier turns shadow maps off
+export const SHADOW_MODES = ['map', 'contact'];
+export const DEFAULT_SHADOW_MODE = 'map';
+
+// Where the shadow light sits relative to the carousel; mostly overhead so
+// shadows fall under the models from every viewing angle
+export const SHADOW_LIGHT_DIRECTION = { x: 0.25, y: 1, z: 0.15 };
+
+const normalize = ({ x, y, z }) => {
+    const length = Math.hypot(x, y, z);
+    if (!(length > 0)) throw new Error('Shadow light direction must not be zero');
+    return { x: x / length, y: y / length, z: z / length };
+};
+
+// Shadow camera that just covers a sphere, seen from `direction`
+// The light sits outside the sphere along that direction, looking at its
+// centre; the frustum is the sphere's extent in light space
+export function fitShadowCamera({
+    center,
+    radius,
+    direction = SHADOW_LIGHT_DIRECTION,
+    margin = 1.1, // room for hover lifts and scaling
+    mapSize = 2048
+}) {
+    const extent = Math.max(radius, 0.01) * margin;
+    const unit = normalize(direction);
+    const distance = extent * 2;
+    return {
+        position: {
+            x: center.x + unit.x * distance,
+            y: center.y + unit.y * distance,
+            z: center.z + unit.z * distance
+        },
+        target: { ...center },
+        left: -extent,
+        right: extent,
+        top: extent,
+        bottom: -extent,
+        near: distance - extent,
+        far: distance + extent,
+        // World size of one shadow-map texel, for scaling the normal bias
+        texelSize: (extent * 2) / mapSize
+    };
+}
+
+// Ground plane under the carousel: wide enough to catch every shadow, at
+// the height of the lowest model so they sit on it
+export function fitGround({ center, radius, bottom, margin = 1.5 }) {
+    return {
+        size: Math.max(radius, 0.01) * 2 * margin,
+        x: center.x,
+        z: center.z,
+        // Just below the models, so the ground never z-fights with their bases
+        y: bottom - 0.01
+    };
+}
+
+// Footprint of a contact shadow under a model of the given width and depth
+export function getContactShadowSize({ width, depth }, spread = 1.4) {
+    return { width: width * spread, depth: depth * spread };
+}
@@ -0,0 +1,120 @@
+import * as THREE from 'three';
+import { SHADOW_LIGHT_DIRECTION } from './shadows.js';
+
+// Scene setup
+// Builds the scene, camera, five-light rig, ground and shadow light, and sets
+// up the renderer they're drawn with. The renderer is passed in, so tests can
+// hand over a stub; main.js creates the real one and attaches it to the page.
+
+export function createStage({ renderer, width, height, pixelRatio = 1, shadowMapSize = 2048 }) {
+    renderer.outputEncoding = THREE.sRGBEncoding;
+    renderer.toneMapping = THREE.ACESFilmicToneMapping;
+    renderer.toneMappingExposure = 1.0;
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(width, height);
+
+    // Enable shadow map on the renderer
+    renderer.shadowMap.enabled = true;
+    renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    renderer.physicallyCorrectLights = true;
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0xffffff);
+
+    // Camera setup
+    const camera = new THREE.PerspectiveCamera(
+        30,  // Slightly narrower FOV
+        width / height,
+        0.5, // Near plane
+        1000 // Far plane
+    );
+    // Start position - further back (180 degrees from original)
+    camera.position.set(0, 40, -150);
+    camera.lookAt(0, 0, 0);
+
+    // Enhanced lighting setup
+    // 1. Main key light (bright, warm)
+    // It follows the camera, so the fixed shadow light below casts its shadows
+    const keyLight = new THREE.DirectionalLight(0xfff0d0, 1.8);
+    scene.add(keyLight);
+
+    // 2. Fill light (cool, soft)
+    const fillLight = new THREE.DirectionalLight(0xd0e8ff, 0.6);
+    fillLight.castShadow = false;
+    scene.add(fillLight);
+
+    // 3. Rim light (for edge definition)
+    const rimLight = new THREE.DirectionalLight(0xffffff, 1.2);
+    rimLight.castShadow = false;
+    scene.add(rimLight);
+
+    // 4. Ambient light (subtle, neutral color)
+    const ambientLight = new THREE.AmbientLight(0x404056, 0.5);
+    scene.add(ambientLight);
+
+    // 5. Hemisphere light for natural outdoor-like lighting
+    const hemiLight = new THREE.HemisphereLight(0xffffff, 0x444444, 0.8);
+    hemiLight.position.set(0, 20, 0);
+    scene.add(hemiLight);
+
+    // Add a subtle ground plane for better lighting reference
+    // Unit-sized; main.js scales it to the layout (see fitGround in shadows.js)
+    const groundMaterial = new THREE.ShadowMaterial({
+        color: 0x000000,
+        opacity: 0.2,
+        transparent: true
+    });
+    const ground = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), groundMaterial);
+    ground.rotation.x = -Math.PI / 2;
+    ground.position.y = -2;
+    ground.scale.set(20, 20, 1);
+    ground.receiveShadow = true;
+    scene.add(ground);
+
+    // A light fixed above the carousel casts every shadow, so they stay put
+    // while the camera orbits. It adds no light of its own; the rig above
+    // does the lighting and this only darkens the ground.
+    const shadowLight = new THREE.DirectionalLight(0xffffff, 0);
+    shadowLight.position.set(SHADOW_LIGHT_DIRECTION.x, SHADOW_LIGHT_DIRECTION.y, SHADOW_LIGHT_DIRECTION.z);
+    shadowLight.shadow.mapSize.set(shadowMapSize, shadowMapSize);
+    shadowLight.shadow.bias = -0.001;
+    scene.add(shadowLight, shadowLight.target);
+
+    return {
+        scene,
+        camera,
+        lights: { key: keyLight, fill: fillLight, rim: rimLight, ambient: ambientLight, hemi: hemiLight },
+        ground,
+        groundMaterial,
+        shadowLight
+    };
+}
+
+// Keep the key, fill and rim lights placed relative to the camera
+export function updateLighting({ key, fill, rim }, camera) {
+    // Get camera direction vector
+    const cameraDirection = new THREE.Vector3();
+    camera.getWorldDirection(cameraDirection);
+
+    // Key light - positioned to the side of the camera direction
+    const keyLightOffset = new THREE.Vector3(-cameraDirection.z, 0.3, cameraDirection.x).normalize();
+    key.position.copy(camera.position)
+        .add(keyLightOffset.multiplyScalar(3))
+        .add(new THREE.Vector3(0, 2, 0)); // Slightly elevated
+
+    // Fill light - softer light from the opposite side
+    const fillLightOffset = new THREE.Vector3(cameraDirection.z, 0.2, -cameraDirection.x).normalize();
+    fill.position.copy(camera.position)
+        .add(fillLightOffset.multiplyScalar(4))
+        .add(new THREE.Vector3(0, 1, 0));
+
+    // Rim light - positioned behind the models
+    rim.position.copy(camera.position)
+        .add(cameraDirection.multiplyScalar(-4))
+        .add(new THREE.Vector3(0, 2, 0));
+
+    // Make all lights look at the center of the scene
+    key.lookAt(0, 0, 0);
+    fill.lookAt(0, 0, 0);
+    rim.lookAt(0, 0, 0);
+}
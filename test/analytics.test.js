@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ANALYTICS_STORAGE_KEY,
+    validateAnalyticsConfig,
+    isDoNotTrack,
+    createStorageSink,
+    createBeaconSink,
+    createConfiguredSinks,
+    createAnalytics
+} from '../analytics.js';
+
+// In-memory stand-in for localStorage
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+};
+
+// Sink that keeps what it's sent
+const recordingSink = () => {
+    const events = [];
+    return { events, send: (event) => events.push(event) };
+};
+
+test('off by default: events go nowhere until a sink is added', () => {
+    const analytics = createAnalytics();
+    assert.equal(analytics.enabled, false);
+    assert.doesNotThrow(() => analytics.track('hover-start', { project: 'shin' }));
+    assert.deepEqual(createConfiguredSinks(), []);
+});
+
+test('tracked events reach every sink with a timestamp', () => {
+    const analytics = createAnalytics({ now: () => 1234 });
+    const a = recordingSink();
+    const b = recordingSink();
+    analytics.setSinks([a, b]);
+    analytics.track('open', { project: 'shin', view: 'detail' });
+
+    const expected = [{ type: 'open', time: 1234, project: 'shin', view: 'detail' }];
+    assert.deepEqual(a.events, expected);
+    assert.deepEqual(b.events, expected);
+    assert.throws(() => analytics.track('scroll'), /Unknown analytics event "scroll"/);
+});
+
+test('Do Not Track and Global Privacy Control turn every sink off', () => {
+    assert.equal(isDoNotTrack({ doNotTrack: '1' }), true);
+    assert.equal(isDoNotTrack({}, { doNotTrack: '1' }), true);
+    assert.equal(isDoNotTrack({ globalPrivacyControl: true }), true);
+    assert.equal(isDoNotTrack({ doNotTrack: '0' }), false);
+    assert.equal(isDoNotTrack({ doNotTrack: 'unspecified' }), false);
+
+    const config = { sinks: ['console', 'local'] };
+    assert.deepEqual(createConfiguredSinks(config, { doNotTrack: true, storage: memoryStorage() }), []);
+    assert.deepEqual(createConfiguredSinks({}, { doNotTrack: true, requested: 'console' }), []);
+    assert.equal(createConfiguredSinks(config, { storage: memoryStorage() }).length, 2);
+});
+
+test('?analytics= adds a sink for the visit', () => {
+    const logged = [];
+    const output = { info: (...args) => logged.push(args) };
+    const [sink] = createConfiguredSinks({}, { requested: 'console', output });
+    sink.send({ type: 'drag', degrees: 90 });
+    assert.equal(logged.length, 1);
+    assert.deepEqual(createConfiguredSinks({}, { requested: 'everything' }), []);
+});
+
+test('sinks whose browser API is missing are skipped', () => {
+    const config = { sinks: ['local', 'beacon'], endpoint: '/collect' };
+    assert.deepEqual(createConfiguredSinks(config, {}), []);
+});
+
+test('the storage sink keeps the most recent events', () => {
+    const storage = memoryStorage();
+    const sink = createStorageSink({ storage, limit: 2 });
+    [1, 2, 3].forEach((time) => sink.send({ type: 'zoom', time }));
+    assert.deepEqual(sink.read().map((event) => event.time), [2, 3]);
+    assert.equal(JSON.parse(storage.getItem(ANALYTICS_STORAGE_KEY)).length, 2);
+
+    sink.clear();
+    assert.deepEqual(sink.read(), []);
+    // Whatever else was stored under the key is ignored
+    storage.setItem(ANALYTICS_STORAGE_KEY, 'not json');
+    assert.deepEqual(sink.read(), []);
+});
+
+test('the beacon sink batches events to the endpoint and flushes the rest', () => {
+    const beacons = [];
+    const sink = createBeaconSink({
+        endpoint: 'https://example.com/collect',
+        sendBeacon: (url, data) => beacons.push({ url, events: JSON.parse(data) }),
+        batchSize: 2
+    });
+    sink.send({ type: 'hover-start' });
+    assert.equal(beacons.length, 0);
+    sink.send({ type: 'hover-duration' });
+    sink.send({ type: 'open' });
+    assert.deepEqual(beacons.map(({ events }) => events.length), [2]);
+    assert.equal(beacons[0].url, 'https://example.com/collect');
+
+    const analytics = createAnalytics();
+    analytics.setSinks([sink]);
+    analytics.flush();
+    assert.deepEqual(beacons.map(({ events }) => events.length), [2, 1]);
+    analytics.flush();
+    assert.equal(beacons.length, 2);
+});
+
+test('the manifest config is validated', () => {
+    assert.doesNotThrow(() => validateAnalyticsConfig({}));
+    assert.doesNotThrow(() => validateAnalyticsConfig({ sinks: ['local', 'beacon'], endpoint: '/collect' }));
+    assert.throws(() => validateAnalyticsConfig([]), /"analytics" must be an object/);
+    assert.throws(() => validateAnalyticsConfig({ sinks: ['ga'] }), /"analytics.sinks"/);
+    assert.throws(() => validateAnalyticsConfig({ sinks: ['beacon'] }), /"analytics.endpoint"/);
+});
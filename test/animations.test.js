@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { validateAnimationConfig, createModelAnimator } from '../animations.js';
+
+// A model with one mesh, "Knob", whose clips raise it from y = 0 to y = 1
+const makeModel = () => {
+    const root = new THREE.Group();
+    root.name = 'kidsynth';
+    const knob = new THREE.Object3D();
+    knob.name = 'Knob';
+    root.add(knob);
+    return { root, knob };
+};
+
+const clip = (name, duration = 1) => new THREE.AnimationClip(name, duration, [
+    new THREE.NumberKeyframeTrack('Knob.position[y]', [0, duration], [0, 1])
+]);
+
+const validate = (config) => () => validateAnimationConfig(config, 'projects.json entry 0 ("kidsynth")');
+
+test('a clip the model lacks is skipped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { root } = makeModel();
+    const animator = createModelAnimator(root, [clip('KnobTurn')], { hover: 'LidOpen' });
+
+    assert.equal(animator.isEmpty, true);
+    assert.doesNotThrow(() => animator.play('hover'));
+    assert.equal(animator.update(0.5), false);
+    assert.deepEqual(warn.mock.calls.map(({ arguments: [message] }) => message), [
+        'Model "kidsynth" has no animation clip "LidOpen" to play on hover'
+    ]);
+});
+
+test('without a clip name the model\'s first clip plays', (t) => {
+    const { root, knob } = makeModel();
+    const animator = createModelAnimator(root, [clip('Action'), clip('Other', 4)], { hover: true, select: {} });
+    assert.equal(animator.isEmpty, false);
+
+    animator.play('hover');
+    animator.update(0.5);
+    assert.ok(Math.abs(knob.position.y - 0.5) < 1e-6);
+
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(createModelAnimator(root, [], { idle: true }).isEmpty, true);
+    assert.match(warn.mock.calls[0].arguments[0], /has no animation clips to play on idle/);
+});
+
+test('hover and select clips play once, hold, then play back', () => {
+    const { root, knob } = makeModel();
+    const animator = createModelAnimator(root, [clip('KnobTurn')], { hover: 'KnobTurn' });
+
+    animator.play('hover');
+    assert.equal(animator.update(0.5), true);
+    animator.update(1);
+    assert.equal(knob.position.y, 1);
+    // Holding the last frame isn't movement
+    assert.equal(animator.update(0.5), false);
+
+    animator.stop('hover');
+    assert.equal(animator.update(0.25), true);
+    assert.ok(knob.position.y < 1);
+    animator.update(1);
+    assert.equal(animator.update(0.5), false);
+    assert.equal(knob.position.y, 0);
+});
+
+test('idle clips, and clips with "loop": true, repeat', () => {
+    const { root, knob } = makeModel();
+    const animator = createModelAnimator(root, [clip('Float'), clip('KnobTurn')], {
+        idle: 'Float',
+        hover: { clip: 'KnobTurn', loop: true, timeScale: 2 }
+    });
+
+    animator.play('idle');
+    animator.update(0.3);
+    // The fade-in takes the first 0.3s
+    animator.update(1.2);
+    assert.equal(animator.update(0.1), true);
+    assert.ok(Math.abs(knob.position.y - 0.6) < 1e-6);
+
+    // Loops fade out rather than play back
+    animator.stop('idle');
+    animator.update(0.5);
+    assert.equal(animator.update(0.1), false);
+
+    animator.play('hover');
+    animator.update(5);
+    assert.equal(animator.update(0.1), true);
+});
+
+test('the config is validated', () => {
+    assert.doesNotThrow(validate({ idle: 'Float', hover: true, select: { clip: 'LidOpen', loop: true, timeScale: 0.5 } }));
+    assert.doesNotThrow(validate({ select: { timeScale: 2 } }));
+    assert.throws(validate([]), /"animations" must be an object keyed by idle, hover, select/);
+    assert.throws(validate({ click: 'Float' }), /animations\.click: unknown trigger/);
+    assert.throws(validate({ hover: false }), /animations\.hover must be a clip name, true or an object/);
+    assert.throws(validate({ hover: { clip: '' } }), /"clip" must be a non-empty string/);
+    assert.throws(validate({ hover: { clip: 'KnobTurn', loop: 'yes' } }), /"loop" must be true or false/);
+    assert.throws(validate({ hover: { clip: 'KnobTurn', timeScale: 0 } }), /"timeScale" must be a positive number/);
+});
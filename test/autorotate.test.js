@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAutoRotate } from '../autorotate.js';
+
+// Auto-rotate with a hand-driven clock
+const setup = (options = {}) => {
+    let time = 0;
+    const autoRotate = createAutoRotate({
+        speed: 1,
+        resumeDelay: 1000,
+        easeDuration: 500,
+        now: () => time,
+        ...options
+    });
+    return {
+        autoRotate,
+        advance: (ms) => {
+            time += ms;
+        },
+        speed: () => autoRotate.getSpeed(time)
+    };
+};
+
+test('turns at full speed from the start', () => {
+    const { speed } = setup();
+    assert.equal(speed(), 1);
+});
+
+test('stops while held and only resumes after the idle delay', () => {
+    const { autoRotate, advance, speed } = setup();
+    autoRotate.hold('drag');
+    assert.equal(speed(), 0);
+
+    autoRotate.release('drag');
+    advance(999);
+    assert.equal(speed(), 0);
+    advance(251);
+    const easing = speed();
+    assert.ok(easing > 0 && easing < 1);
+    advance(250);
+    assert.equal(speed(), 1);
+});
+
+test('waits for every hold to be released', () => {
+    const { autoRotate, advance, speed } = setup();
+    autoRotate.hold('hover');
+    autoRotate.hold('select');
+    autoRotate.release('hover');
+    advance(5000);
+    assert.equal(speed(), 0);
+    assert.equal(autoRotate.held, true);
+
+    autoRotate.release('select');
+    advance(1500);
+    assert.equal(speed(), 1);
+});
+
+test('a wait stops it for the idle delay without holding', () => {
+    const { autoRotate, advance, speed } = setup();
+    autoRotate.wait();
+    assert.equal(speed(), 0);
+    assert.equal(autoRotate.held, false);
+    advance(1500);
+    assert.equal(speed(), 1);
+
+    // A wait restarts a countdown that is under way
+    autoRotate.hold('drag');
+    autoRotate.release('drag');
+    advance(900);
+    autoRotate.wait();
+    advance(200);
+    assert.equal(speed(), 0);
+});
+
+test('releasing something that was never held changes nothing', () => {
+    const { autoRotate, speed } = setup();
+    autoRotate.release('hover');
+    assert.equal(speed(), 1);
+});
+
+test('pausing overrides everything; playing eases in without the delay', () => {
+    const { autoRotate, advance, speed } = setup({ playing: false });
+    assert.equal(autoRotate.playing, false);
+    advance(5000);
+    assert.equal(speed(), 0);
+
+    autoRotate.setPlaying(true);
+    advance(250);
+    assert.ok(speed() > 0 && speed() < 1);
+    advance(250);
+    assert.equal(speed(), 1);
+});
+
+test('follows the direction it is given', () => {
+    const { autoRotate, speed } = setup();
+    autoRotate.setDirection(-1);
+    assert.equal(speed(), -1);
+    autoRotate.setDirection(0);
+    assert.equal(autoRotate.direction, -1);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { buildCarousel, populateCarouselItem, findCarouselGroup } from '../carousel.js';
+import { DEFAULT_LAYOUT, findOverlaps } from '../layout.js';
+
+// Stand-in for a loaded GLTF scene: a box of the given size, off-centre like
+// most exported models, with optional animation clips
+const fakeGltfScene = ({ x = 2, y = 1, z = 1 } = {}, clips = []) => {
+    const scene = new THREE.Group();
+    const mesh = new THREE.Mesh(new THREE.BoxGeometry(x, y, z), new THREE.MeshStandardMaterial({ name: 'Body' }));
+    mesh.name = 'Body';
+    mesh.position.set(5, 3, -2);
+    scene.add(mesh);
+    scene.animations = clips;
+    return scene;
+};
+
+const fakeClip = (name) => new THREE.AnimationClip(name, 1, [
+    new THREE.NumberKeyframeTrack('Body.position[y]', [0, 1], [0, 1])
+]);
+
+const project = (id, extra = {}) => ({ id, title: id, model: `./${id}.glb`, page: `${id}.html`, ...extra });
+
+const worldBox = (object) => {
+    object.updateMatrixWorld(true);
+    return new THREE.Box3().setFromObject(object);
+};
+
+test('each model is scaled to the layout size and centred in its group', () => {
+    const group = new THREE.Group();
+    const footprint = populateCarouselItem(group, project('a'), fakeGltfScene({ x: 4, y: 1, z: 2 }), { size: 12 });
+    const box = worldBox(group);
+    const size = box.getSize(new THREE.Vector3());
+    const center = box.getCenter(new THREE.Vector3());
+
+    assert.ok(Math.abs(size.x - 12) < 1e-9);
+    assert.ok(center.length() < 1e-9);
+    assert.ok(Math.abs(footprint.width - 12) < 1e-9);
+    assert.ok(Math.abs(footprint.depth - 6) < 1e-9);
+    assert.equal(group.userData.model.name, 'model-a');
+});
+
+test('the project scale multiplies the normalised size', () => {
+    const group = new THREE.Group();
+    populateCarouselItem(group, project('a', { scale: 0.5 }), fakeGltfScene(), { size: 12 });
+    assert.ok(Math.abs(worldBox(group).getSize(new THREE.Vector3()).x - 6) < 1e-9);
+});
+
+test('templates are cloned, not moved into the carousel', () => {
+    const template = fakeGltfScene();
+    const { groups } = buildCarousel([project('a'), project('b')], [template, template], DEFAULT_LAYOUT);
+    assert.equal(template.parent, null);
+    assert.equal(template.scale.x, 1);
+    assert.notEqual(groups[0].userData.model, groups[1].userData.model);
+});
+
+test('projects whose model failed to load are left out', () => {
+    const projects = [project('a'), project('shin'), project('c')];
+    const { groups } = buildCarousel(projects, [fakeGltfScene(), undefined, fakeGltfScene()], DEFAULT_LAYOUT);
+    assert.deepEqual(groups.map((group) => group.userData.name), ['a', 'c']);
+    assert.equal(groups[1].userData.project, projects[2]);
+});
+
+test('groups are placed by the layout and remember where they started', () => {
+    const projects = ['a', 'b', 'c', 'd'].map((id) => project(id));
+    const templates = projects.map((_, index) => fakeGltfScene({ x: 1 + index, y: 1, z: 1 }));
+    const { groups, overlaps } = buildCarousel(projects, templates, DEFAULT_LAYOUT);
+
+    assert.deepEqual(overlaps, []);
+    groups.forEach((group) => {
+        const { originalPosition, originalRotation, originalScale } = group.userData;
+        assert.deepEqual({ x: group.position.x, y: group.position.y, z: group.position.z }, originalPosition);
+        assert.equal(group.rotation.y, originalRotation.y);
+        assert.equal(originalScale, 1);
+    });
+    const items = groups.map((group) => group.userData.footprint);
+    const transforms = groups.map((group) => ({ position: group.userData.originalPosition }));
+    assert.deepEqual(findOverlaps(items, transforms), []);
+});
+
+test('manual layouts use the manifest positions and report overlaps', () => {
+    const projects = [
+        project('a', { position: { x: 0, y: 0, z: 0 } }),
+        project('b', { position: { x: 1, y: 0, z: 0 } }),
+        project('c', { position: { x: 40, y: 2, z: 0 } })
+    ];
+    const templates = projects.map(() => fakeGltfScene());
+    const { groups, overlaps } = buildCarousel(projects, templates, { ...DEFAULT_LAYOUT, mode: 'manual' });
+    assert.deepEqual(overlaps, [[0, 1]]);
+    assert.equal(groups[2].position.x, 40);
+    assert.equal(groups[2].position.y, 2);
+});
+
+test('hotspot anchors ride along with the model', () => {
+    const group = new THREE.Group();
+    const config = project('a', { hotspots: [{ label: 'Knob', position: { x: 1, y: 0, z: 0 } }] });
+    populateCarouselItem(group, config, fakeGltfScene(), { size: 12 });
+    const [hotspot] = group.userData.hotspots;
+    assert.equal(hotspot.label, 'Knob');
+    assert.equal(hotspot.anchor.parent, group.userData.model);
+});
+
+test('idle clips start unless asked not to', () => {
+    const template = fakeGltfScene(undefined, [fakeClip('Float')]);
+    const config = project('a', { animations: { idle: 'Float' } });
+
+    const playing = new THREE.Group();
+    populateCarouselItem(playing, config, template, { size: 12 });
+    assert.ok(playing.userData.animator.update(0.1));
+
+    const still = new THREE.Group();
+    populateCarouselItem(still, config, template, { size: 12, playIdle: false });
+    assert.equal(still.userData.animator.update(0.1), false);
+
+    // No clips asked for, no animator
+    const plain = new THREE.Group();
+    populateCarouselItem(plain, project('b'), template, { size: 12 });
+    assert.equal(plain.userData.animator, null);
+});
+
+test('a hit on any mesh resolves to its carousel group', () => {
+    const { groups } = buildCarousel([project('a')], [fakeGltfScene()], DEFAULT_LAYOUT);
+    const mesh = groups[0].getObjectByProperty('isMesh', true);
+    assert.equal(findCarouselGroup(mesh), groups[0]);
+    assert.equal(findCarouselGroup(groups[0]), groups[0]);
+    assert.equal(findCarouselGroup(new THREE.Mesh()), null);
+});
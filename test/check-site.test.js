@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkSite } from '../scripts/check-site.js';
+
+// A site held in memory: file path -> contents
+const memorySite = (files) => ({
+    readText: async (file) => {
+        if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+        return files[file];
+    },
+    exists: async (file) => file in files,
+    listPages: async () => Object.keys(files).filter((file) => file.endsWith('.html')).sort()
+});
+
+const manifest = (projects) => JSON.stringify({ projects });
+
+const content = (image) => JSON.stringify({
+    title: 'Shinkansen',
+    hero: { heading: 'How Might We', text: '...', image },
+    sections: [{ type: 'video', provider: 'wistia', id: 'abc' }]
+});
+
+// Everything in place
+const healthySite = () => ({
+    'projects.json': manifest([{
+        id: 'shin',
+        title: 'Shinkansen',
+        model: './shin.glb',
+        page: 'Shinkansen-new.html',
+        content: 'content/shin.json',
+        thumbnail: 'images/shin1.png'
+    }]),
+    'shin.glb': '',
+    'images/shin1.png': '',
+    'content/shin.json': content('images/shin1.png'),
+    'index.html': '<a href="contact.html">Contact</a> <a href="https://example.com">Elsewhere</a>',
+    'contact.html': '<a href="index.html">Home</a> <a href="mailto:someone@example.com">Mail</a>',
+    'Shinkansen-new.html': '<a href="index.html#top">Back</a>'
+});
+
+test('a complete site has no problems', async () => {
+    assert.deepEqual(await checkSite(memorySite(healthySite())), []);
+});
+
+test('a missing GLB is reported against its project', async () => {
+    const files = healthySite();
+    delete files['shin.glb'];
+    assert.deepEqual(await checkSite(memorySite(files)), [
+        'projects.json ("shin") model: "./shin.glb" does not exist'
+    ]);
+});
+
+test('a dangling project page is reported', async () => {
+    const files = healthySite();
+    delete files['Shinkansen-new.html'];
+    const problems = await checkSite(memorySite(files));
+    assert.deepEqual(problems, ['projects.json ("shin") page: "Shinkansen-new.html" does not exist']);
+});
+
+test('links between pages must resolve', async () => {
+    const files = healthySite();
+    files['contact.html'] += ' <a href="./LI1-new.html?from=contact">LI-1</a>';
+    assert.deepEqual(await checkSite(memorySite(files)), ['contact.html: "./LI1-new.html?from=contact" does not exist']);
+});
+
+test('content files are validated and their images checked', async () => {
+    const files = healthySite();
+    files['content/shin.json'] = content('images/missing.png');
+    assert.deepEqual(await checkSite(memorySite(files)), [
+        'content/shin.json: "images/missing.png" does not exist'
+    ]);
+
+    files['content/shin.json'] = JSON.stringify({ title: 'Shinkansen' });
+    const [problem] = await checkSite(memorySite(files));
+    assert.match(problem, /^content\/shin\.json: .*"sections" must be an array/);
+});
+
+test('a malformed project entry is reported', async () => {
+    const files = healthySite();
+    const projects = JSON.parse(files['projects.json']).projects;
+    files['projects.json'] = manifest([...projects, { id: 'draft', title: 'Draft', page: 'index.html' }]);
+    assert.deepEqual(await checkSite(memorySite(files)), [
+        'projects.json entry 1 ("draft"): "model" must be a non-empty string'
+    ]);
+});
+
+test('an invalid manifest is reported instead of thrown', async () => {
+    const files = healthySite();
+    files['projects.json'] = manifest([]);
+    const [problem] = await checkSite(memorySite(files));
+    assert.match(problem, /^projects\.json: .*non-empty "projects" array/);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseHashState, formatHashState } from '../deeplink.js';
+
+test('parses project, angle and distance', () => {
+    assert.deepEqual(parseHashState('#project=shin&angle=90&distance=60'), {
+        project: 'shin',
+        angle: 90,
+        distance: 60
+    });
+});
+
+test('an empty or missing hash gives an empty state', () => {
+    assert.deepEqual(parseHashState(''), {});
+    assert.deepEqual(parseHashState('#'), {});
+    assert.deepEqual(parseHashState(undefined), {});
+});
+
+test('drops malformed values', () => {
+    assert.deepEqual(parseHashState('#project=../etc&angle=left&distance=-5'), {});
+    assert.deepEqual(parseHashState('#distance=0'), {});
+});
+
+test('normalises the angle into (-180, 180]', () => {
+    assert.equal(parseHashState('#angle=270').angle, -90);
+    assert.equal(parseHashState('#angle=-180').angle, 180);
+    assert.equal(parseHashState('#angle=540').angle, 180);
+    assert.equal(parseHashState('#angle=-450').angle, -90);
+});
+
+test('formats only the fields that are set, rounded', () => {
+    assert.equal(formatHashState({}), '');
+    assert.equal(formatHashState({ project: 'kidsynth' }), '#project=kidsynth');
+    assert.equal(formatHashState({ angle: 45.6, distance: 59.4 }), '#angle=46&distance=59');
+});
+
+test('round-trips through the URL', () => {
+    const state = { project: 'rockbody', angle: -120, distance: 80 };
+    assert.deepEqual(parseHashState(formatHashState(state)), state);
+});
+
+test('parses the detail view for a project', () => {
+    assert.deepEqual(parseHashState('#project=shin&view=detail'), { project: 'shin', view: 'detail' });
+    assert.equal(formatHashState({ project: 'shin', view: 'detail' }), '#project=shin&view=detail');
+});
+
+test('ignores a view without a project or with an unknown name', () => {
+    assert.deepEqual(parseHashState('#view=detail'), {});
+    assert.deepEqual(parseHashState('#project=shin&view=gallery'), { project: 'shin' });
+    assert.equal(formatHashState({ view: 'detail' }), '');
+});
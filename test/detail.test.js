@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateProjectContent, getContentAssets } from '../detail.js';
+
+// Smallest content that passes, plus whatever the test needs
+const content = (extra = {}) => ({ title: 'Shinkansen', sections: [], ...extra });
+
+const validate = (value) => () => validateProjectContent(value, 'content/shin.json');
+
+test('accepts every section type', () => {
+    assert.doesNotThrow(validate(content({
+        hero: { heading: 'How Might We', text: ['one', 'two'], image: 'images/shin1.png' },
+        sections: [
+            { type: 'text-image', text: 'About', image: 'images/shin2.png', reverse: true },
+            { type: 'image', image: 'images/shin3.png' },
+            { type: 'text', heading: 'Notes', text: ['a', 'b'] },
+            { type: 'video', provider: 'wistia', id: '4le7j1cgb8' }
+        ]
+    })));
+});
+
+test('needs an object with a title and a sections array', () => {
+    assert.throws(validate(null), /^Error: content\/shin\.json: content must be an object/);
+    assert.throws(validate(content({ title: '  ' })), /"title" must be a non-empty string/);
+    assert.throws(validate({ title: 'Shinkansen' }), /"sections" must be an array/);
+});
+
+test('checks the hero', () => {
+    assert.throws(validate(content({ hero: 'Shinkansen' })), /"hero" must be an object/);
+    assert.throws(validate(content({ hero: { text: [] } })), /"hero.text" must be a string or an array of strings/);
+    assert.throws(validate(content({ hero: { text: ['ok', 3] } })), /"hero.text"/);
+});
+
+test('names the section and field that is wrong', () => {
+    assert.throws(validate(content({ sections: [{ type: 'gallery' }] })),
+        /sections\[0\]: "type" must be one of text-image, image, text, video/);
+    assert.throws(validate(content({ sections: [null] })), /sections\[0\]: "type"/);
+    assert.throws(validate(content({ sections: [{ type: 'text', text: 'ok' }, { type: 'text-image', text: 'no image' }] })),
+        /sections\[1\]: missing "image"/);
+    assert.throws(validate(content({ sections: [{ type: 'image', image: '' }] })), /sections\[0\]: missing "image"/);
+    assert.throws(validate(content({ sections: [{ type: 'video', provider: 'flash', id: 'x' }] })),
+        /sections\[0\]: "provider" must be one of wistia, youtube, vimeo/);
+});
+
+test('lists the images a content file uses', () => {
+    assert.deepEqual(getContentAssets(content({
+        hero: { text: 'No image' },
+        sections: [
+            { type: 'text-image', text: 'About', image: 'images/a.png' },
+            { type: 'video', provider: 'wistia', id: 'x' },
+            { type: 'image', image: 'images/b.png' }
+        ]
+    })), ['images/a.png', 'images/b.png']);
+});
+
+test('the shipped content files are valid', () => {
+    ['kidsynth', 'rockbody', 'shin'].forEach((id) => {
+        const file = `content/${id}.json`;
+        const value = JSON.parse(readFileSync(new URL(`../${file}`, import.meta.url), 'utf8'));
+        assert.doesNotThrow(() => validateProjectContent(value, file));
+    });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EFFECTS, parseEffects, getEnabledEffects } from '../effects.js';
+import { QUALITY_TIERS } from '../quality.js';
+
+test('every tier names only known effects, and the lowest renders plainly', () => {
+    QUALITY_TIERS.forEach((tier) => {
+        tier.effects.forEach((effect) => assert.ok(EFFECTS.includes(effect), `${tier.name}: ${effect}`));
+    });
+    assert.deepEqual(getEnabledEffects(QUALITY_TIERS[0]), []);
+    assert.ok(getEnabledEffects(QUALITY_TIERS.at(-1)).includes('outline'));
+});
+
+test('?effects= lists effects in pipeline order and ignores unknown names', () => {
+    assert.deepEqual(parseEffects('fxaa, Bloom,sparkles,outline'), ['outline', 'bloom', 'fxaa']);
+    assert.deepEqual(parseEffects('none'), []);
+});
+
+test('a missing or meaningless ?effects= leaves the tier in charge', () => {
+    [null, undefined, '', 'sparkles', ' , '].forEach((value) => assert.equal(parseEffects(value), null));
+    const tier = { effects: ['fxaa', 'outline'] };
+    assert.deepEqual(getEnabledEffects(tier, null), ['outline', 'fxaa']);
+    assert.deepEqual(getEnabledEffects(tier, []), []);
+    assert.deepEqual(getEnabledEffects(tier, ['bloom']), ['bloom']);
+});
+
+test('tiers without an effects list render plainly', () => {
+    assert.deepEqual(getEnabledEffects({ name: 'custom' }), []);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCarouselFraming } from '../framing.js';
+
+// Half-angle the sphere takes up from the fitted distance, in degrees
+const sphereHalfAngle = ({ distance }, radius) => (Math.asin(radius / distance) * 180) / Math.PI;
+const halfHorizontalFov = ({ fov }, aspect) =>
+    (Math.atan(Math.tan((fov * Math.PI) / 360) * aspect) * 180) / Math.PI;
+
+test('keeps the base FOV on landscape screens', () => {
+    assert.ok(Math.abs(getCarouselFraming({ radius: 10, aspect: 16 / 9 }).fov - 30) < 1e-9);
+    assert.ok(Math.abs(getCarouselFraming({ radius: 10, aspect: 32 / 9 }).fov - 30) < 1e-9);
+});
+
+test('widens the vertical FOV on portrait screens, up to the limit', () => {
+    const portrait = getCarouselFraming({ radius: 10, aspect: 9 / 16 });
+    assert.ok(portrait.fov > 30);
+    assert.ok(portrait.fov <= 50);
+    assert.ok(Math.abs(getCarouselFraming({ radius: 10, aspect: 0.1 }).fov - 50) < 1e-9);
+});
+
+test('the sphere fits both ways at any aspect ratio', () => {
+    [0.4, 9 / 16, 1, 4 / 3, 16 / 9, 32 / 9].forEach((aspect) => {
+        const framing = getCarouselFraming({ radius: 10, aspect });
+        const half = sphereHalfAngle(framing, 10);
+        assert.ok(half <= framing.fov / 2 + 1e-9, `vertical at ${aspect}`);
+        assert.ok(half <= halfHorizontalFov(framing, aspect) + 1e-9, `horizontal at ${aspect}`);
+    });
+});
+
+test('ultrawide screens come closer than portrait ones', () => {
+    const wide = getCarouselFraming({ radius: 10, aspect: 21 / 9 });
+    const tall = getCarouselFraming({ radius: 10, aspect: 9 / 19 });
+    assert.ok(wide.distance < tall.distance);
+});
+
+test('distance and zoom limits scale with the carousel', () => {
+    const small = getCarouselFraming({ radius: 5, aspect: 1.5 });
+    const large = getCarouselFraming({ radius: 20, aspect: 1.5 });
+    assert.ok(Math.abs(large.distance / small.distance - 4) < 1e-9);
+    [small, large].forEach((framing) => {
+        assert.ok(framing.minDistance < framing.distance);
+        assert.ok(framing.maxDistance > framing.distance);
+    });
+    // Never zooms into the carousel
+    assert.ok(small.minDistance >= 5);
+});
+
+test('overlays push the camera back and shift the view into the free band', () => {
+    const clear = getCarouselFraming({ radius: 10, aspect: 1.5 });
+    const covered = getCarouselFraming({ radius: 10, aspect: 1.5, insetTop: 0.2, insetBottom: 0.1 });
+    assert.ok(covered.distance > clear.distance);
+    assert.equal(clear.viewOffset, 0);
+    assert.ok(Math.abs(covered.viewOffset - 0.05) < 1e-9);
+});
@@ -0,0 +1,254 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInteractionController } from '../interaction.js';
+
+// Controller with a hand-driven clock and a log of every event it emits
+const setup = () => {
+    let time = 0;
+    const controller = createInteractionController({ now: () => time });
+    const events = [];
+    ['hoverstart', 'hoverend', 'select', 'deselect', 'highlight', 'open', 'inspect', 'inspectend'].forEach((type) => {
+        controller.addEventListener(type, (event) => events.push(event));
+    });
+    return {
+        controller,
+        events,
+        advance: (ms) => {
+            time += ms;
+        },
+        types: () => events.map((event) => event.type)
+    };
+};
+
+const a = { name: 'a' };
+const b = { name: 'b' };
+
+test('starts idle with nothing highlighted', () => {
+    const { controller } = setup();
+    assert.equal(controller.state, 'idle');
+    assert.equal(controller.hovered, null);
+    assert.equal(controller.selected, null);
+    assert.equal(controller.highlighted, null);
+});
+
+test('hover moves between items and back to idle', () => {
+    const { controller, events, types } = setup();
+
+    controller.hover(a);
+    assert.equal(controller.state, 'hover');
+    assert.deepEqual(types(), ['hoverstart', 'highlight']);
+
+    controller.hover(b);
+    assert.equal(controller.hovered, b);
+    assert.deepEqual(types().slice(2), ['hoverend', 'hoverstart', 'highlight']);
+    assert.equal(events.at(-1).previous, a);
+
+    controller.hover(null);
+    assert.equal(controller.state, 'idle');
+    assert.deepEqual(types().slice(5), ['hoverend', 'highlight']);
+    assert.equal(events.at(-1).item, null);
+});
+
+test('hovering the same item again emits nothing', () => {
+    const { controller, events } = setup();
+    controller.hover(a);
+    const count = events.length;
+    controller.hover(a);
+    assert.equal(events.length, count);
+});
+
+test('highlight falls back to the selected item when hover ends', () => {
+    const { controller, events } = setup();
+    controller.select(a);
+    controller.hover(b);
+    assert.equal(controller.highlighted, b);
+
+    controller.hover(null);
+    assert.equal(controller.highlighted, a);
+    assert.equal(controller.state, 'selected');
+    const highlight = events.filter((event) => event.type === 'highlight').at(-1);
+    assert.equal(highlight.item, a);
+    assert.equal(highlight.previous, b);
+});
+
+test('hovering the selected item does not change the highlight', () => {
+    const { controller, types } = setup();
+    controller.select(a);
+    const before = types().filter((type) => type === 'highlight').length;
+    controller.hover(a);
+    assert.equal(types().filter((type) => type === 'highlight').length, before);
+});
+
+test('select and deselect report the previous item', () => {
+    const { controller, events } = setup();
+    controller.select(a);
+    controller.select(b);
+    controller.select(null);
+
+    const selections = events.filter((event) => event.type === 'select' || event.type === 'deselect');
+    assert.deepEqual(selections.map((event) => [event.type, event.item, event.previous]), [
+        ['select', a, null],
+        ['select', b, a],
+        ['deselect', null, b]
+    ]);
+});
+
+test('a second tap on the selected item opens it', () => {
+    const { controller, events } = setup();
+    controller.tap(a);
+    assert.equal(controller.selected, a);
+    assert.equal(controller.state, 'selected');
+
+    controller.tap(a);
+    assert.equal(controller.state, 'open');
+    assert.equal(events.at(-1).type, 'open');
+    assert.equal(events.at(-1).item, a);
+});
+
+test('tapping another item moves the selection instead of opening', () => {
+    const { controller, types } = setup();
+    controller.tap(a);
+    controller.tap(b);
+    assert.equal(controller.selected, b);
+    assert.ok(!types().includes('open'));
+});
+
+test('tapping empty space clears the selection', () => {
+    const { controller } = setup();
+    controller.tap(a);
+    controller.tap(null);
+    assert.equal(controller.selected, null);
+    assert.equal(controller.state, 'idle');
+});
+
+test('two clicks on the same item within the delay open it', () => {
+    const { controller, types, advance } = setup();
+    controller.click(a);
+    advance(200);
+    controller.click(a);
+    assert.equal(controller.state, 'open');
+    assert.equal(types().at(-1), 'open');
+});
+
+test('slow clicks, clicks on different items and clicks on nothing do not open', () => {
+    const { controller, types, advance } = setup();
+    controller.click(a);
+    advance(301);
+    controller.click(a);
+    advance(100);
+    controller.click(b);
+    advance(100);
+    controller.click(null);
+    advance(100);
+    controller.click(b);
+    assert.ok(!types().includes('open'));
+    assert.notEqual(controller.state, 'open');
+});
+
+test('the click delay is configurable', () => {
+    let time = 0;
+    const controller = createInteractionController({ doubleClickDelay: 500, now: () => time });
+    controller.click(a);
+    time = 450;
+    controller.click(a);
+    assert.equal(controller.state, 'open');
+});
+
+test('open without an argument uses the highlighted item', () => {
+    const { controller } = setup();
+    assert.equal(controller.open(), false);
+
+    controller.hover(a);
+    assert.equal(controller.open(), true);
+    assert.equal(controller.state, 'open');
+});
+
+test('open state ignores further input until reset', () => {
+    const { controller, events, types } = setup();
+    controller.hover(a);
+    controller.open();
+    const count = events.length;
+
+    controller.hover(b);
+    controller.select(b);
+    controller.tap(b);
+    controller.click(b);
+    assert.equal(controller.open(b), false);
+    assert.equal(events.length, count);
+
+    controller.reset();
+    assert.equal(controller.state, 'idle');
+    assert.deepEqual(types().slice(count), ['hoverend', 'highlight']);
+
+    controller.hover(b);
+    assert.equal(controller.hovered, b);
+});
+
+test('removed listeners are no longer called', () => {
+    const controller = createInteractionController();
+    let calls = 0;
+    const listener = () => {
+        calls++;
+    };
+    controller.addEventListener('hoverstart', listener);
+    controller.hover(a);
+    controller.removeEventListener('hoverstart', listener);
+    controller.hover(b);
+    assert.equal(calls, 1);
+});
+
+test('a single click selects, clicking empty space deselects', () => {
+    const { controller, advance } = setup();
+    controller.click(a);
+    assert.equal(controller.selected, a);
+    advance(500);
+    controller.click(null);
+    assert.equal(controller.selected, null);
+    assert.equal(controller.state, 'idle');
+});
+
+test('inspect clears hover and selection and locks other input', () => {
+    const { controller, types } = setup();
+    controller.select(a);
+    controller.hover(b);
+    let stateOnDeselect = null;
+    controller.addEventListener('deselect', () => {
+        stateOnDeselect = controller.state;
+    });
+
+    assert.equal(controller.inspect(a), true);
+    assert.equal(stateOnDeselect, 'inspect');
+    assert.equal(controller.state, 'inspect');
+    assert.equal(controller.inspected, a);
+    assert.equal(controller.highlighted, null);
+    assert.deepEqual(types().slice(-4), ['hoverend', 'deselect', 'highlight', 'inspect']);
+
+    const count = types().length;
+    controller.hover(b);
+    controller.select(b);
+    controller.tap(b);
+    controller.click(b);
+    assert.equal(controller.open(b), false);
+    assert.equal(controller.inspect(b), false);
+    assert.equal(types().length, count);
+});
+
+test('ending inspect returns to idle and accepts input again', () => {
+    const { controller, events } = setup();
+    controller.inspect(a);
+    controller.endInspect();
+    assert.equal(controller.state, 'idle');
+    assert.equal(events.at(-1).type, 'inspectend');
+    assert.equal(events.at(-1).previous, a);
+
+    controller.hover(b);
+    assert.equal(controller.hovered, b);
+});
+
+test('reset also ends inspect mode', () => {
+    const { controller, types } = setup();
+    controller.inspect(a);
+    controller.reset();
+    assert.equal(controller.state, 'idle');
+    assert.ok(types().includes('inspectend'));
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_LAYOUT,
+    validateLayout,
+    getNormalizedScale,
+    computeLayout,
+    findOverlaps
+} from '../layout.js';
+
+// n footprints, optionally of varying size
+const makeItems = (count, size = (index) => 12) =>
+    Array.from({ length: count }, (_, index) => ({ width: size(index), depth: size(index) / 2 }));
+
+const distanceFromCentre = ({ position }) => Math.hypot(position.x, position.z);
+
+test('normalised scale brings the largest side to the requested size', () => {
+    assert.equal(getNormalizedScale({ x: 2, y: 4, z: 1 }, 12), 3);
+    assert.equal(getNormalizedScale({ x: 400, y: 100, z: 50 }, 12), 0.03);
+    // Empty models are left alone
+    assert.equal(getNormalizedScale({ x: 0, y: 0, z: 0 }, 12), 1);
+});
+
+test('no strategy overlaps models, whatever the count or size', () => {
+    ['ring', 'arc', 'grid'].forEach((mode) => {
+        [1, 2, 3, 4, 7, 12, 30].forEach((count) => {
+            const items = makeItems(count, (index) => 4 + (index % 3) * 6);
+            const transforms = computeLayout(items, { mode });
+            assert.equal(transforms.length, count);
+            assert.deepEqual(findOverlaps(items, transforms), [], `${mode} with ${count} projects`);
+        });
+    });
+});
+
+test('ring uses the configured radius when the models fit on it', () => {
+    const transforms = computeLayout(makeItems(3, () => 1), { mode: 'ring', radius: 10 });
+    transforms.forEach((transform) => assert.ok(Math.abs(distanceFromCentre(transform) - 10) < 1e-9));
+});
+
+test('ring grows past the radius when the models would touch', () => {
+    const transforms = computeLayout(makeItems(8), { mode: 'ring', radius: 4 });
+    const radius = distanceFromCentre(transforms[0]);
+    assert.ok(radius > 4);
+    transforms.forEach((transform) => assert.ok(Math.abs(distanceFromCentre(transform) - radius) < 1e-9));
+});
+
+test('ring faces each model outwards', () => {
+    computeLayout(makeItems(5), { mode: 'ring' }).forEach(({ position, rotation }) => {
+        const facing = Math.atan2(position.x, position.z);
+        const delta = Math.atan2(Math.sin(facing - rotation.y), Math.cos(facing - rotation.y));
+        assert.ok(Math.abs(delta) < 1e-9);
+    });
+});
+
+test('arc stays within its span, centred on the facing direction', () => {
+    const transforms = computeLayout(makeItems(4, () => 2), { mode: 'arc', arc: 90, facing: 180 });
+    const angles = transforms.map(({ rotation }) => (rotation.y * 180) / Math.PI);
+    assert.ok(Math.abs(angles[0] - 135) < 1e-9);
+    assert.ok(Math.abs(angles.at(-1) - 225) < 1e-9);
+});
+
+test('grid centres its rows and honours the column count', () => {
+    const transforms = computeLayout(makeItems(5, () => 2), { mode: 'grid', columns: 3, gap: 1 });
+    const rows = new Set(transforms.map(({ position }) => position.z));
+    assert.equal(rows.size, 2);
+    // The short last row is centred on x = 0
+    const lastRow = transforms.slice(3).map(({ position }) => position.x);
+    assert.equal(lastRow[0] + lastRow[1], 0);
+});
+
+test('manual uses the hand-placed positions and reports overlaps', () => {
+    const items = [
+        { width: 4, depth: 4, position: { x: 0, y: 1, z: 0 } },
+        { width: 4, depth: 4, position: { x: 1, z: 0 } },
+        { width: 4, depth: 4, position: { x: 20, z: 0 } }
+    ];
+    const transforms = computeLayout(items, { mode: 'manual' });
+    assert.deepEqual(transforms[0].position, { x: 0, y: 1, z: 0 });
+    assert.deepEqual(findOverlaps(items, transforms), [[0, 1]]);
+});
+
+test('defaults to a ring', () => {
+    assert.equal(DEFAULT_LAYOUT.mode, 'ring');
+    assert.deepEqual(computeLayout(makeItems(3)), computeLayout(makeItems(3), { mode: 'ring' }));
+});
+
+test('validation names the bad field', () => {
+    assert.doesNotThrow(() => validateLayout({ mode: 'arc', arc: 120, columns: null }));
+    assert.throws(() => validateLayout({ mode: 'spiral' }), /"layout.mode" must be one of/);
+    assert.throws(() => validateLayout({ radius: 0 }), /"layout.radius" must be a positive number/);
+    assert.throws(() => validateLayout({ gap: -1 }), /"layout.gap"/);
+    assert.throws(() => validateLayout({ arc: 400 }), /"layout.arc"/);
+    assert.throws(() => validateLayout({ columns: 1.5 }), /"layout.columns"/);
+    assert.throws(() => validateLayout([]), /"layout" must be an object/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { validateMaterialRules, applyMaterialRules } from '../materials.js';
+
+const geometry = new THREE.BoxGeometry();
+
+// A mesh with the given name and material(s), under a model root
+const mesh = (name, material) => Object.assign(new THREE.Mesh(geometry, material), { name });
+
+const model = (...meshes) => {
+    const root = new THREE.Group();
+    meshes.forEach((child) => root.add(child));
+    return root;
+};
+
+const standard = (name, extra = {}) => new THREE.MeshStandardMaterial({ name, ...extra });
+
+test('an override clones the material instead of changing the shared one', () => {
+    // Clones of a GLB scene share their materials
+    const shared = standard('Body', { roughness: 1 });
+    const first = mesh('Shell', shared);
+    const second = mesh('Shell', shared);
+    applyMaterialRules(model(first), [{ set: { roughness: 0.25, color: '#ff5a1f', side: 'double' } }]);
+
+    assert.notEqual(first.material, shared);
+    assert.equal(first.material.roughness, 0.25);
+    assert.equal(first.material.color.getHex(), 0xff5a1f);
+    assert.equal(first.material.side, THREE.DoubleSide);
+    assert.equal(shared.roughness, 1);
+    assert.equal(shared.side, THREE.FrontSide);
+    assert.equal(second.material, shared);
+});
+
+test('rules match meshes and materials by name, with wildcards', () => {
+    const knob = mesh('Knob_1', standard('Rubber'));
+    const body = mesh('Body', standard('Plastic'));
+    applyMaterialRules(model(knob, body), [
+        { mesh: 'Knob*', set: { metalness: 0.5 } },
+        { material: 'Plast?c', set: { metalness: 0.75 } }
+    ]);
+    assert.equal(knob.material.metalness, 0.5);
+    // "?" isn't a wildcard
+    assert.equal(body.material.metalness, 0);
+});
+
+test('later rules win, and unmatched materials are left as they are', () => {
+    const untouched = standard('Glass');
+    const body = mesh('Body', standard('Plastic'));
+    const glass = mesh('Window', untouched);
+    applyMaterialRules(model(body, glass), [
+        { set: { roughness: 0.2 } },
+        { material: 'Plastic', set: { roughness: 0.9 } }
+    ]);
+    assert.equal(body.material.roughness, 0.9);
+    assert.notEqual(glass.material, untouched);
+    assert.equal(glass.material.roughness, 0.2);
+
+    const plain = standard('Plain');
+    const other = mesh('Other', plain);
+    applyMaterialRules(model(other), [{ material: 'Nothing', set: { roughness: 0 } }]);
+    assert.equal(other.material, plain);
+});
+
+test('array materials are handled one by one', () => {
+    const faces = [standard('Front'), standard('Back')];
+    const box = mesh('Box', faces);
+    applyMaterialRules(model(box), [{ material: 'Back', set: { opacity: 0.5, transparent: true } }]);
+
+    assert.ok(Array.isArray(box.material));
+    assert.equal(box.material[0], faces[0]);
+    assert.notEqual(box.material[1], faces[1]);
+    assert.equal(box.material[1].opacity, 0.5);
+    assert.equal(box.material[1].transparent, true);
+    assert.equal(faces[1].transparent, false);
+});
+
+test('properties a non-standard material lacks are skipped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const basic = mesh('Label', new THREE.MeshBasicMaterial({ name: 'Flat' }));
+    applyMaterialRules(model(basic), [{ set: { roughness: 0.3, color: '#00ff00', emissive: '#ffffff' } }]);
+
+    assert.equal('roughness' in basic.material, false);
+    assert.equal(basic.material.color.getHex(), 0x00ff00);
+    assert.deepEqual(warn.mock.calls.map(({ arguments: [message] }) => message), [
+        'Material "Flat" on mesh "Label" has no "roughness" to override',
+        'Material "Flat" on mesh "Label" has no "emissive" to override'
+    ]);
+});
+
+test('rules are validated', () => {
+    const label = 'projects.json entry 0 ("shin")';
+    assert.doesNotThrow(() => validateMaterialRules([{ mesh: 'Knob*', set: { color: 0xff5a1f, side: 'back' } }], label));
+    assert.throws(() => validateMaterialRules({}, label), /"materials" must be an array of rules/);
+    assert.throws(() => validateMaterialRules([{ set: {} }], label), /materials\[0\]: "set" must list at least one property/);
+    assert.throws(() => validateMaterialRules([{ mesh: '', set: { roughness: 0 } }], label), /"mesh" must be a non-empty string/);
+    assert.throws(() => validateMaterialRules([{ set: { map: 'wood.png' } }], label), /"map" can't be overridden/);
+    assert.throws(() => validateMaterialRules([{ set: { roughness: 2 } }], label), /"roughness" must be a number from 0 to 1/);
+    assert.throws(() => validateMaterialRules([{ set: { color: 'red' } }], label), /"color" must be a "#rrggbb" string/);
+    assert.throws(() => validateMaterialRules([{ set: { side: 'both' } }], label), /"side" must be one of front, back, double/);
+});
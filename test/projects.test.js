@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateProjects, getProjectAssets } from '../projects.js';
+
+// Smallest entry that passes, plus whatever the test needs
+const project = (extra = {}) => ({
+    id: 'shin',
+    title: 'Shinkansen',
+    model: './shin.glb',
+    page: 'Shinkansen-new.html',
+    ...extra
+});
+
+// Validates a manifest, collecting the entries that were skipped
+const validate = (projects, options = {}) => {
+    const skipped = [];
+    const result = validateProjects({ projects, ...options }, { onInvalid: (error) => skipped.push(error.message) });
+    return { ...result, skipped };
+};
+
+// Why an entry was skipped (a valid entry goes first so the load still succeeds)
+const problemWith = (entry, options) => validate([project({ id: 'ok' }), entry], options).skipped[0];
+
+test('a valid manifest comes back with its defaults filled in', () => {
+    const { projects, layout, analytics, skipped } = validate([project()]);
+    assert.equal(projects.length, 1);
+    assert.deepEqual(layout, {});
+    assert.deepEqual(analytics, {});
+    assert.deepEqual(skipped, []);
+    // A bare array is still accepted
+    assert.equal(validateProjects([project()]).projects.length, 1);
+});
+
+test('required fields must be non-empty strings', () => {
+    ['id', 'title', 'model', 'page'].forEach((field) => {
+        assert.match(problemWith(project({ [field]: undefined })), new RegExp(`"${field}" must be a non-empty string`));
+        assert.match(problemWith(project({ [field]: '  ' })), new RegExp(`"${field}" must be a non-empty string`));
+    });
+    assert.equal(problemWith(null), 'projects.json entry 1: entry must be an object');
+});
+
+test('ids must be unique', () => {
+    const { projects, skipped } = validate([project(), project({ title: 'Copy' })]);
+    assert.deepEqual(projects.map(({ title }) => title), ['Shinkansen']);
+    assert.deepEqual(skipped, ['projects.json entry 1 ("shin"): duplicate id "shin"']);
+});
+
+test('models must be glTF', () => {
+    assert.match(problemWith(project({ model: './shin.obj' })), /"model" must point to a \.glb or \.gltf file/);
+    assert.match(problemWith(project({ preview: './shin.fbx' })), /"preview" must point to a \.glb or \.gltf file/);
+    assert.equal(problemWith(project({ model: './Shin.GLTF', preview: './shin-small.glb' })), undefined);
+});
+
+test('optional fields are checked when present', () => {
+    assert.equal(problemWith(project({ year: 2023, summary: 'A MIDI controller', tags: ['Product'] })), undefined);
+    assert.equal(problemWith(project({ year: '2022–23' })), undefined);
+    assert.match(problemWith(project({ year: 2023.5 })), /"year" must be a number or string/);
+    assert.match(problemWith(project({ tags: 'Product' })), /"tags" must be an array of strings/);
+    assert.match(problemWith(project({ scale: 0 })), /"scale" must be a positive number/);
+});
+
+test('position and rotation need three numbers', () => {
+    assert.equal(problemWith(project({ position: { x: 1, y: 2, z: 3 }, rotation: { x: 0, y: 0, z: 0 } })), undefined);
+    assert.match(problemWith(project({ position: [1, 2, 3] })), /"position.x" must be a number/);
+    assert.match(problemWith(project({ position: { x: 1, y: 2 } })), /"position.z" must be a number/);
+    assert.match(problemWith(project({ rotation: { x: 0, y: '1', z: 0 } })), /"rotation.y" must be a number/);
+    assert.match(problemWith(project({ rotation: 'none' })), /"rotation" must be an object with x, y and z/);
+    // Only hand-placed layouts need a position
+    const placed = project({ id: 'placed', position: { x: 0, y: 0, z: 0 } });
+    assert.deepEqual(validate([placed, project()], { layout: { mode: 'manual' } }).skipped, [
+        'projects.json entry 1 ("shin"): missing "position"'
+    ]);
+});
+
+test('a malformed entry is skipped with a warning and the rest still load', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { projects } = validateProjects({ projects: [project({ model: '' }), project({ id: 'kidsynth' })] });
+    assert.deepEqual(projects.map(({ id }) => id), ['kidsynth']);
+    assert.equal(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /^projects\.json entry 0 \("shin"\): "model"/);
+});
+
+test('a manifest with nothing usable is rejected', () => {
+    assert.throws(() => validateProjects({ projects: [] }), /non-empty "projects" array/);
+    assert.throws(() => validateProjects({}), /non-empty "projects" array/);
+    assert.throws(() => validate([project({ page: '' })]), /^Error: projects\.json: no valid projects/);
+    // Manifest-wide settings aren't skippable
+    assert.throws(() => validate([project()], { layout: { mode: 'spiral' } }), /layout/);
+});
+
+test('lists the files an entry points at', () => {
+    assert.deepEqual(getProjectAssets(project({ thumbnail: 'images/shin1.png', year: 2023 })), [
+        { field: 'model', path: './shin.glb' },
+        { field: 'thumbnail', path: 'images/shin1.png' },
+        { field: 'page', path: 'Shinkansen-new.html' }
+    ]);
+});
+
+test('the shipped manifest is valid', () => {
+    const manifest = JSON.parse(readFileSync(new URL('../projects.json', import.meta.url), 'utf8'));
+    assert.deepEqual(validate(manifest.projects, { layout: manifest.layout }).skipped, []);
+});
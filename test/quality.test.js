@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUALITY_TIERS, createQualityGovernor } from '../quality.js';
+
+// Feed `frames` frames at a steady frame rate, returning every tier change
+const run = (governor, fps, frames) => {
+    const changes = [];
+    for (let i = 0; i < frames; i++) {
+        const tier = governor.sample(1 / fps);
+        if (tier) changes.push(tier.name);
+    }
+    return changes;
+};
+
+test('starts on the highest tier by default', () => {
+    const governor = createQualityGovernor();
+    assert.equal(governor.tier, QUALITY_TIERS.at(-1));
+});
+
+test('clamps the initial tier into range', () => {
+    assert.equal(createQualityGovernor({ initialTier: -3 }).tierIndex, 0);
+    assert.equal(createQualityGovernor({ initialTier: 99 }).tierIndex, QUALITY_TIERS.length - 1);
+});
+
+test('holds the tier while the target frame rate is met', () => {
+    const governor = createQualityGovernor({ sampleSize: 10 });
+    assert.deepEqual(run(governor, 60, 100), []);
+    assert.equal(governor.tier.name, 'high');
+    assert.ok(Math.abs(governor.fps - 60) < 0.01);
+});
+
+test('steps down one tier per slow window and stops at the lowest', () => {
+    const governor = createQualityGovernor({ sampleSize: 10 });
+    assert.deepEqual(run(governor, 30, 10), ['medium']);
+    assert.deepEqual(run(governor, 30, 10), ['low']);
+    assert.deepEqual(run(governor, 30, 50), []);
+    assert.equal(governor.tier.name, 'low');
+});
+
+test('steps up only after several good windows in a row', () => {
+    const governor = createQualityGovernor({ initialTier: 0, sampleSize: 10, upgradeWindows: 3 });
+    assert.deepEqual(run(governor, 60, 20), []);
+    // A middling window breaks the streak without stepping down
+    assert.deepEqual(run(governor, 55, 10), []);
+    assert.deepEqual(run(governor, 60, 20), []);
+    assert.deepEqual(run(governor, 60, 10), ['medium']);
+});
+
+test('reset discards a partial window', () => {
+    const governor = createQualityGovernor({ sampleSize: 10 });
+    run(governor, 5, 9);
+    governor.reset();
+    assert.deepEqual(run(governor, 60, 10), []);
+    assert.equal(governor.tier.name, 'high');
+});
+
+test('ignores empty or invalid frame times', () => {
+    const governor = createQualityGovernor({ sampleSize: 2 });
+    assert.equal(governor.sample(0), null);
+    assert.equal(governor.sample(NaN), null);
+    assert.equal(governor.fps, 0);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HOME_PAGE, getProjectRoute, getProjectPage } from '../routing.js';
+
+test('projects with content open the detail panel', () => {
+    assert.deepEqual(getProjectRoute({ id: 'shin', page: 'Shinkansen-new.html', content: 'content/shin.json' }), {
+        view: 'detail'
+    });
+});
+
+test('projects without content go to their page', () => {
+    assert.deepEqual(getProjectRoute({ id: 'shin', page: 'Shinkansen-new.html' }), {
+        view: 'page',
+        href: 'Shinkansen-new.html'
+    });
+});
+
+test('a project without a page falls back to the home page', () => {
+    assert.equal(getProjectPage({ id: 'draft' }), HOME_PAGE);
+    assert.equal(getProjectPage(undefined), HOME_PAGE);
+    assert.deepEqual(getProjectRoute(null), { view: 'page', href: HOME_PAGE });
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    SHADOW_MODES,
+    DEFAULT_SHADOW_MODE,
+    fitShadowCamera,
+    fitGround,
+    getContactShadowSize
+} from '../shadows.js';
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y, z: a.z - b.z });
+const length = (a) => Math.hypot(a.x, a.y, a.z);
+
+test('the shadow camera covers the whole sphere', () => {
+    const center = { x: 1, y: -2, z: 3 };
+    const radius = 8;
+    const fit = fitShadowCamera({ center, radius, direction: { x: 1, y: 2, z: -1 } });
+    const forward = sub(fit.target, fit.position);
+    const distance = length(forward);
+
+    // Depth range reaches the near and far sides of the sphere
+    assert.ok(fit.near > 0);
+    assert.ok(fit.near <= distance - radius);
+    assert.ok(fit.far >= distance + radius);
+    // Orthographic bounds reach its sides
+    [fit.right, fit.top].forEach((bound) => assert.ok(bound >= radius));
+    [fit.left, fit.bottom].forEach((bound) => assert.ok(bound <= -radius));
+});
+
+test('the shadow light looks at the centre from the given direction', () => {
+    const center = { x: 0, y: 0, z: 0 };
+    const fit = fitShadowCamera({ center, radius: 5, direction: { x: 0, y: 3, z: 0 } });
+    assert.deepEqual(fit.target, center);
+    assert.equal(fit.position.x, 0);
+    assert.equal(fit.position.z, 0);
+    // Outside the sphere, straight above it
+    assert.ok(fit.position.y > 5);
+});
+
+test('the fit depends only on the bounds, so orbiting leaves it unchanged', () => {
+    const options = { center: { x: 0, y: 0, z: 0 }, radius: 10 };
+    assert.deepEqual(fitShadowCamera(options), fitShadowCamera(options));
+    // Bigger maps give finer texels over the same area
+    assert.ok(fitShadowCamera({ ...options, mapSize: 2048 }).texelSize < fitShadowCamera({ ...options, mapSize: 512 }).texelSize);
+});
+
+test('a zero light direction is rejected', () => {
+    assert.throws(() => fitShadowCamera({ center: { x: 0, y: 0, z: 0 }, radius: 1, direction: { x: 0, y: 0, z: 0 } }));
+});
+
+test('the ground grows with the layout and sits under the lowest model', () => {
+    const small = fitGround({ center: { x: 0, y: 0, z: 0 }, radius: 5, bottom: -3 });
+    const large = fitGround({ center: { x: 2, y: 0, z: -1 }, radius: 20, bottom: -6 });
+    assert.ok(small.size >= 10);
+    assert.ok(large.size > small.size);
+    assert.ok(small.y < -3 && small.y > -3.1);
+    assert.equal(large.x, 2);
+    assert.equal(large.z, -1);
+});
+
+test('contact shadows spread a little past the footprint', () => {
+    const { width, depth } = getContactShadowSize({ width: 4, depth: 2 });
+    assert.ok(width > 4 && depth > 2);
+    assert.ok(SHADOW_MODES.includes(DEFAULT_SHADOW_MODE));
+});
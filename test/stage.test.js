@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { createStage, updateLighting } from '../stage.js';
+
+// Records what the stage asks of the renderer; no WebGL needed
+const stubRenderer = () => ({
+    shadowMap: {},
+    pixelRatio: null,
+    size: null,
+    setPixelRatio(value) {
+        this.pixelRatio = value;
+    },
+    setSize(width, height) {
+        this.size = [width, height];
+    }
+});
+
+test('sets up the renderer for tone-mapped, soft-shadowed output', () => {
+    const renderer = stubRenderer();
+    createStage({ renderer, width: 800, height: 600, pixelRatio: 1.5 });
+    assert.equal(renderer.toneMapping, THREE.ACESFilmicToneMapping);
+    assert.equal(renderer.shadowMap.enabled, true);
+    assert.equal(renderer.shadowMap.type, THREE.PCFSoftShadowMap);
+    assert.equal(renderer.pixelRatio, 1.5);
+    assert.deepEqual(renderer.size, [800, 600]);
+});
+
+test('builds the camera, rig, ground and shadow light', () => {
+    const { scene, camera, lights, ground, shadowLight } = createStage({
+        renderer: stubRenderer(),
+        width: 1000,
+        height: 500,
+        shadowMapSize: 1024
+    });
+    assert.equal(camera.aspect, 2);
+    Object.values(lights).forEach((light) => assert.equal(light.parent, scene));
+    assert.equal(ground.parent, scene);
+    assert.ok(ground.receiveShadow);
+
+    // Only the fixed shadow light casts, and it adds no light of its own
+    Object.values(lights).forEach((light) => assert.ok(!light.castShadow));
+    assert.equal(shadowLight.intensity, 0);
+    assert.equal(shadowLight.shadow.mapSize.x, 1024);
+    assert.equal(shadowLight.target.parent, scene);
+});
+
+test('the key, fill and rim lights follow the camera', () => {
+    const { camera, lights } = createStage({ renderer: stubRenderer(), width: 800, height: 600 });
+    const before = lights.key.position.clone();
+    camera.position.set(50, 10, 0);
+    camera.lookAt(0, 0, 0);
+    camera.updateMatrixWorld();
+    updateLighting(lights, camera);
+
+    assert.ok(!lights.key.position.equals(before));
+    [lights.key, lights.fill, lights.rim].forEach((light) => {
+        assert.ok(light.position.distanceTo(camera.position) < 10);
+    });
+    // The rim light sits beyond the camera, looking back past the models
+    assert.ok(lights.rim.position.x > camera.position.x);
+});